@@ -1,198 +1,99 @@
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { tools } from '../../src/tools.js';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import serverless from 'serverless-http';
+import {
+  CORS_HEADERS,
+  getServerStatus,
+  handleMcpRequest,
+  jsonRpcErrorBody
+} from '../../src/http.js';
+import { setDefaultSessionsPath } from '../../src/sessions.js';
+
+// The deployed package is read-only; keep test sessions in the instance's temp directory
+setDefaultSessionsPath(join(tmpdir(), 'magentaa11y-sessions.json'));
 
 /**
- * Create MCP server instance
+ * Name and version the function has always reported (the stdio server uses the package name)
  */
-const createServer = () => {
-  const server = new Server(
-    {
-      name: 'magentaa11y-mcp',
-      version: '1.0.0',
-    },
-    {
-      capabilities: {
-        tools: {},
-      },
-    }
-  );
-
-  // Handler for listing available tools
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: tools.map(tool => ({
-        name: tool.name,
-        description: tool.description,
-        inputSchema: tool.inputSchema
-      }))
-    };
-  });
-
-  // Handler for calling tools
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const tool = tools.find(t => t.name === request.params.name);
-    
-    if (!tool) {
-      throw new Error(`Unknown tool: ${request.params.name}`);
-    }
-
-    return await tool.handler(request.params.arguments);
-  });
-
-  return server;
+const SERVER_INFO = {
+  name: 'magentaa11y-mcp',
+  version: '1.0.0'
 };
 
 /**
- * Handle JSON-RPC request directly (stateless)
- * This bypasses the transport layer for serverless compatibility
+ * Handle one MCP request with the shared Streamable HTTP handler
  */
-async function handleJsonRpcRequest(server, request) {
-  const { method, params, id } = request;
-
-  try {
-    let result;
+const mcpHandler = serverless(async (req, res) => {
+  await handleMcpRequest(req, res, JSON.parse(req.body.toString()), SERVER_INFO);
+});
 
-    if (method === 'initialize') {
-      result = {
-        protocolVersion: '2024-11-05',
-        capabilities: { tools: {} },
-        serverInfo: { name: 'magentaa11y-mcp', version: '1.0.0' }
-      };
-    } else if (method === 'tools/list') {
-      result = {
-        tools: tools.map(tool => ({
-          name: tool.name,
-          description: tool.description,
-          inputSchema: tool.inputSchema
-        }))
-      };
-    } else if (method === 'tools/call') {
-      const tool = tools.find(t => t.name === params.name);
-      if (!tool) {
-        throw new Error(`Unknown tool: ${params.name}`);
-      }
-      result = await tool.handler(params.arguments || {});
-    } else if (method === 'notifications/initialized') {
-      // This is a notification, no response needed
-      return null;
-    } else if (method === 'ping') {
-      result = {};
-    } else {
-      throw new Error(`Unknown method: ${method}`);
-    }
-
-    return {
-      jsonrpc: '2.0',
-      id,
-      result
-    };
-  } catch (error) {
-    return {
-      jsonrpc: '2.0',
-      id,
-      error: {
-        code: -32603,
-        message: error.message
-      }
-    };
-  }
+/**
+ * JSON-RPC error response outside the transport (e.g., unparseable body)
+ */
+function jsonRpcError(statusCode, code, message) {
+  return {
+    statusCode,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+    body: jsonRpcErrorBody(code, message)
+  };
 }
 
 /**
- * Netlify Function handler for MCP over HTTP
- * Implements stateless JSON-RPC handling for serverless environments
+ * Netlify Function handler for MCP over Streamable HTTP
  */
 export const handler = async (event, context) => {
-  // CORS headers for all responses
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Accept, Mcp-Session-Id',
-  };
-
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
     return {
       statusCode: 204,
-      headers: corsHeaders,
+      headers: CORS_HEADERS,
       body: ''
     };
   }
 
   // Handle MCP JSON-RPC requests (POST to /mcp)
   if (event.httpMethod === 'POST') {
+    const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body;
+    let message;
     try {
-      const request = JSON.parse(event.body);
-      const server = createServer();
-      
-      // Handle batch requests
-      if (Array.isArray(request)) {
-        const responses = [];
-        for (const req of request) {
-          const response = await handleJsonRpcRequest(server, req);
-          if (response !== null) {
-            responses.push(response);
-          }
-        }
-        return {
-          statusCode: 200,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-          body: JSON.stringify(responses.length === 1 ? responses[0] : responses)
-        };
-      }
-      
-      // Handle single request
-      const response = await handleJsonRpcRequest(server, request);
-      
-      // Notifications don't get a response
-      if (response === null) {
-        return {
-          statusCode: 202,
-          headers: corsHeaders,
-          body: ''
-        };
-      }
-
-      return {
-        statusCode: 200,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify(response)
-      };
+      message = JSON.parse(raw);
     } catch (error) {
-      return {
-        statusCode: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: null,
-          error: {
-            code: -32700,
-            message: 'Parse error: ' + error.message
-          }
-        })
-      };
+      return jsonRpcError(400, -32700, 'Parse error: ' + error.message);
+    }
+    if (Array.isArray(message) && message.length === 0) {
+      return jsonRpcError(400, -32600, 'Invalid Request: empty batch');
     }
+
+    const response = await mcpHandler({ ...event, body: raw, isBase64Encoded: false }, context);
+    const headers = { ...response.headers, ...CORS_HEADERS };
+    if (response.body && !headers['content-type']) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    return { ...response, headers };
   }
 
-  // GET request - return server info (not MCP protocol)
+  // GET - this stateless function has no standalone SSE stream, so only the server info
   if (event.httpMethod === 'GET') {
+    const accept = event.headers?.accept || event.headers?.Accept || '';
+    if (accept.includes('text/event-stream') && !accept.includes('application/json')) {
+      return {
+        statusCode: 405,
+        headers: { ...CORS_HEADERS, Allow: 'POST, OPTIONS' },
+        body: ''
+      };
+    }
+
     return {
       statusCode: 200,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        name: 'magentaa11y-mcp',
-        version: '1.0.0',
-        status: 'healthy',
-        protocol: 'MCP JSON-RPC 2.0',
-        tools: tools.length
-      })
+      headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+      body: JSON.stringify(getServerStatus(SERVER_INFO))
     };
   }
 
   return {
     statusCode: 405,
-    headers: corsHeaders,
+    headers: { ...CORS_HEADERS, Allow: 'GET, POST, OPTIONS' },
     body: JSON.stringify({ error: 'Method not allowed' })
   };
 };
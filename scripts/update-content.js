@@ -1,33 +1,66 @@
 #!/usr/bin/env node
 /**
- * Build script to update content.json from magentaA11y submodule
- * 
+ * Build script to update content.json from magentaA11y
+ *
+ *   npm run update-content                                   build the magentaA11y submodule
+ *   npm run update-content -- --from path/to/magentaA11y     prebuilt local checkout (no git or npm)
+ *   npm run update-content -- --from path/to/content.json    prebuilt content.json
+ *
+ * Options:
+ *   --dry-run          Validate and report, but don't write anything
+ *   --allow-removals   Accept content that drops components or sections
+ *
  * This script:
- * 1. Pulls the latest from the magentaA11y submodule
- * 2. Runs npm install and npm run build
- * 3. Copies the generated content.json to /data/content.json
+ * 1. Gets the new content.json: pulls, installs and builds the submodule, or reads --from
+ * 2. Validates it against the content schema and refuses imports that drop components
+ *    or sections (unless --allow-removals)
+ * 3. Prints a summary report
+ * 4. Saves the current /data/content.json to /data/snapshots/
+ * 5. Copies the new content.json to /data/content.json
+ * 6. Records what changed (components added, removed and changed, per section) in /data/changes.json
  */
 
 import { execSync } from 'child_process';
-import { copyFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { copyFileSync, existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { CHANGE_SECTIONS } from '../src/changes.js';
+import { checkImport } from '../src/importer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '..');
 const submoduleDir = join(rootDir, 'data', 'magentaA11y');
-const sourceFile = join(submoduleDir, 'src', 'shared', 'content.json');
+const buildOutput = join('src', 'shared', 'content.json');
 const destFile = join(rootDir, 'data', 'content.json');
+const snapshotDir = join(rootDir, 'data', 'snapshots');
+const changelogFile = join(rootDir, 'data', 'changes.json');
+
+// Errors listed before the report is cut short
+const MAX_ERRORS_SHOWN = 20;
 
 function run(cmd, cwd = rootDir) {
   console.log(`\n> ${cmd}`);
   execSync(cmd, { cwd, stdio: 'inherit' });
 }
 
-async function main() {
-  console.log('🔄 Updating MagentaA11y content...\n');
+function getOptions() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'allow-removals': { type: 'boolean', default: false },
+    },
+  });
+  return { from: values.from, dryRun: values['dry-run'], allowRemovals: values['allow-removals'] };
+}
 
+/**
+ * Pull, install and build the submodule
+ * @returns {string} Path of the built content.json
+ */
+function buildSubmodule() {
   // Initialize submodule if needed
   if (!existsSync(join(submoduleDir, '.git'))) {
     console.log('📥 Initializing submodule...');
@@ -46,15 +79,139 @@ async function main() {
   console.log('\n🔨 Building magentaA11y...');
   run('npm run build', submoduleDir);
 
-  // Copy content.json to /data
-  if (!existsSync(sourceFile)) {
-    console.error(`❌ Build failed: ${sourceFile} not found`);
+  return join(submoduleDir, buildOutput);
+}
+
+/**
+ * content.json for --from: the file itself, or a directory's content.json or build output
+ * @returns {string|null} Path of the content.json, or null if the directory has none
+ */
+function resolveSource(from) {
+  const path = resolve(from);
+  if (!existsSync(path) || !statSync(path).isDirectory()) {
+    return path;
+  }
+  return [join(path, 'content.json'), join(path, buildOutput)].find(existsSync) || null;
+}
+
+/**
+ * Print the component and section changes of an update
+ */
+function printChanges(diff) {
+  const titles = Object.fromEntries(CHANGE_SECTIONS.map(({ section, title }) => [section, title]));
+  console.log(`\n📝 ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed`);
+  for (const c of diff.added) console.log(`  + ${c.platform}/${c.name}`);
+  for (const c of diff.removed) console.log(`  - ${c.platform}/${c.name}`);
+  for (const c of diff.changed) {
+    const sections = c.sections.map(s => `${titles[s.section]} (+${s.added.length}/-${s.removed.length})`);
+    console.log(`  ~ ${c.platform}/${c.name}: ${sections.join(', ')}`);
+  }
+}
+
+/**
+ * Print component counts and field coverage per platform
+ */
+function printSummary(summary) {
+  console.log('\n📊 Content summary');
+  for (const [platform, stats] of Object.entries(summary)) {
+    const fields = Object.entries(stats.fields)
+      .filter(([, count]) => count > 0)
+      .map(([field, count]) => `${field} ${count}`);
+    const categories = `${stats.categories} ${stats.categories === 1 ? 'category' : 'categories'}`;
+    console.log(`  ${platform}: ${stats.components} components in ${categories} (${fields.join(', ')})`);
+  }
+}
+
+/**
+ * Print every problem in a list, up to MAX_ERRORS_SHOWN
+ */
+function printProblems(title, problems) {
+  console.error(`\n${title}`);
+  for (const problem of problems.slice(0, MAX_ERRORS_SHOWN)) {
+    console.error(`  - ${problem}`);
+  }
+  if (problems.length > MAX_ERRORS_SHOWN) {
+    console.error(`  ...and ${problems.length - MAX_ERRORS_SHOWN} more`);
+  }
+}
+
+/**
+ * Save the current content.json as a snapshot and append the diff to the changelog
+ * @returns {string} Snapshot id
+ */
+function recordChanges(previousText, diff) {
+  const date = new Date().toISOString();
+  const snapshot = `content-${date.replace(/[:.]/g, '-')}`;
+  mkdirSync(snapshotDir, { recursive: true });
+  writeFileSync(join(snapshotDir, `${snapshot}.json`), previousText);
+
+  const changelog = existsSync(changelogFile) ? JSON.parse(readFileSync(changelogFile, 'utf8')) : [];
+  changelog.push({ snapshot, date, ...diff });
+  writeFileSync(changelogFile, `${JSON.stringify(changelog, null, 2)}\n`);
+  return snapshot;
+}
+
+async function main() {
+  const options = getOptions();
+  console.log('🔄 Updating MagentaA11y content...\n');
+
+  const sourceFile = options.from ? resolveSource(options.from) : buildSubmodule();
+  if (!sourceFile || !existsSync(sourceFile)) {
+    console.error(options.from
+      ? `❌ No content.json found at ${resolve(options.from)}`
+      : `❌ Build failed: ${sourceFile} not found`);
     process.exit(1);
   }
+  console.log(`\n🔎 Checking ${sourceFile}...`);
+
+  const nextText = readFileSync(sourceFile, 'utf8');
+  let next;
+  try {
+    next = JSON.parse(nextText);
+  } catch (err) {
+    console.error(`❌ Import refused: ${sourceFile} is not valid JSON (${err.message})`);
+    process.exit(1);
+  }
+
+  const previousText = existsSync(destFile) ? readFileSync(destFile, 'utf8') : null;
+  const result = checkImport(previousText && JSON.parse(previousText), next, { allowRemovals: options.allowRemovals });
+
+  if (result.errors.length > 0) {
+    printProblems(`❌ Import refused: ${result.errors.length} schema error(s)`, result.errors.map(e => `${e.path}: ${e.message}`));
+    process.exit(1);
+  }
+
+  printSummary(result.summary);
+  if (result.diff) {
+    printChanges(result.diff);
+  }
+
+  if (!result.ok) {
+    printProblems(`❌ Import refused: the new content drops ${result.removals.length} component(s) or section(s). Re-run with --allow-removals if that is intended`, result.removals);
+    process.exit(1);
+  }
+  if (result.removals.length > 0) {
+    console.log(`\n⚠️  Accepting ${result.removals.length} removal(s) (--allow-removals)`);
+  }
+
+  if (previousText === nextText) {
+    console.log('\n🟰 Content unchanged');
+    return;
+  }
+  if (options.dryRun) {
+    console.log('\n🧪 Dry run: content is valid; nothing written');
+    return;
+  }
+
+  const { added, removed, changed } = result.diff?.summary || {};
+  const snapshot = added + removed + changed > 0 ? recordChanges(previousText, result.diff) : null;
 
   console.log('\n📋 Copying content.json to /data...');
   copyFileSync(sourceFile, destFile);
   console.log(`✅ Copied to ${destFile}`);
+  if (snapshot) {
+    console.log(`🗂️  Previous content saved as data/snapshots/${snapshot}.json; changes recorded in data/changes.json (commit both)`);
+  }
 
   console.log('\n✨ Content update complete!');
 }
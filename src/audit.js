@@ -0,0 +1,519 @@
+/**
+ * HTML Markup Audit
+ * Parses an HTML snippet offline, detects which MagentaA11y web components it
+ * contains and checks it against rules drawn from those components' criteria
+ */
+
+import { findComponent, findWcagCriterion, getComponentUrl } from './helpers.js';
+
+// Elements that never have children
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+    'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements that are keyboard focusable without a tabindex
+const NATIVE_INTERACTIVE = new Set(['a', 'button', 'input', 'select', 'textarea', 'summary', 'iframe']);
+
+// Input types that don't need a visible label
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Parse HTML into a lightweight element tree
+ * Tolerant of unclosed and stray tags; not a full HTML5 parser.
+ * @param {string} html - Markup
+ * @returns {Object} Root node; elements are { tag, attrs, children, parent, line, source }, text nodes { text }
+ */
+export function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null, line: 1 };
+    const source = html || '';
+    const lowerSource = source.toLowerCase();
+    let current = root;
+    let cursor = 0;
+    let match;
+
+    // Tags are met in document order, so line numbers are counted on from the previous tag
+    let line = 1;
+    let lineCounted = 0;
+    const lineAt = index => {
+        for (let i = source.indexOf('\n', lineCounted); i !== -1 && i < index; i = source.indexOf('\n', i + 1)) {
+            line++;
+        }
+        lineCounted = index;
+        return line;
+    };
+    const addText = text => {
+        if (text) current.children.push({ text: decodeEntities(text), parent: current });
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        addText(source.slice(cursor, match.index));
+        cursor = TAG_PATTERN.lastIndex;
+
+        if (match[1]) {
+            // End tag: close up to the nearest open element with the same name
+            const tag = match[1].toLowerCase();
+            let open = current;
+            while (open !== root && open.tag !== tag) open = open.parent;
+            if (open !== root) current = open.parent;
+            continue;
+        }
+        if (!match[2]) continue;
+
+        const tag = match[2].toLowerCase();
+        const element = {
+            tag,
+            attrs: parseAttributes(match[3]),
+            children: [],
+            parent: current,
+            line: lineAt(match.index),
+            source: match[0].replace(/\s+/g, ' ')
+        };
+        current.children.push(element);
+
+        if (RAW_TEXT_ELEMENTS.has(tag) && !match[4]) {
+            const close = lowerSource.indexOf(`</${tag}`, cursor);
+            const end = close === -1 ? source.length : close;
+            if (tag !== 'script' && tag !== 'style') {
+                element.children.push({ text: decodeEntities(source.slice(cursor, end)), parent: element });
+            }
+            const closeEnd = close === -1 ? source.length : source.indexOf('>', close) + 1 || source.length;
+            cursor = closeEnd;
+            TAG_PATTERN.lastIndex = closeEnd;
+        } else if (!VOID_ELEMENTS.has(tag) && !match[4]) {
+            current = element;
+        }
+    }
+    addText(source.slice(cursor));
+
+    return root;
+}
+
+/**
+ * Parse the attribute portion of a start tag into a lowercase-keyed object
+ */
+function parseAttributes(text) {
+    const attrs = {};
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(text || '')) !== null) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attrs[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attrs;
+}
+
+/**
+ * Decode the handful of entities that matter for names and labels
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * All elements in document order
+ */
+function walk(node, list = []) {
+    for (const child of node.children || []) {
+        if (child.tag) {
+            list.push(child);
+            walk(child, list);
+        }
+    }
+    return list;
+}
+
+/**
+ * Visible text of an element, counting image alt text
+ */
+function textContent(node) {
+    if (node.text !== undefined) return node.text;
+    if (node.tag === 'img') return node.attrs.alt || '';
+    if (node.attrs?.['aria-hidden'] === 'true') return '';
+    return (node.children || []).map(textContent).join(' ');
+}
+
+function normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function role(element) {
+    return (element.attrs.role || '').trim().toLowerCase().split(/\s+/)[0];
+}
+
+function inputType(element) {
+    return (element.attrs.type || 'text').toLowerCase();
+}
+
+function closest(element, predicate) {
+    let node = element.parent;
+    while (node && node.tag !== '#root') {
+        if (predicate(node)) return node;
+        node = node.parent;
+    }
+    return null;
+}
+
+/**
+ * Accessible name of an element, approximating the browser computation
+ * @param {Object} element - Parsed element
+ * @param {Object} context - { byId, labelsFor }
+ * @returns {string} Name, or '' if none
+ */
+function accessibleName(element, context) {
+    const { attrs } = element;
+
+    if (attrs['aria-labelledby']) {
+        const name = attrs['aria-labelledby'].split(/\s+/)
+            .map(id => context.byId.get(id))
+            .filter(Boolean)
+            .map(textContent)
+            .join(' ');
+        if (normalize(name)) return normalize(name);
+    }
+    if (normalize(attrs['aria-label'])) return normalize(attrs['aria-label']);
+
+    if (['input', 'select', 'textarea'].includes(element.tag)) {
+        const labels = attrs.id ? context.labelsFor.get(attrs.id) || [] : [];
+        const wrapping = closest(element, node => node.tag === 'label');
+        const name = [...labels, ...(wrapping ? [wrapping] : [])].map(textContent).join(' ');
+        if (normalize(name)) return normalize(name);
+        if (element.tag === 'input' && ['submit', 'reset', 'button'].includes(inputType(element))) {
+            return normalize(attrs.value) || inputType(element);
+        }
+        if (element.tag === 'input' && inputType(element) === 'image') {
+            return normalize(attrs.alt);
+        }
+        return normalize(attrs.title);
+    }
+
+    if (element.tag === 'img') return normalize(attrs.alt) || normalize(attrs.title);
+    if (element.tag === 'svg') {
+        const title = element.children.find(c => c.tag === 'title');
+        return normalize(title ? textContent(title) : '');
+    }
+
+    return normalize(textContent(element)) || normalize(attrs.title);
+}
+
+/**
+ * How each catalog web component shows up in markup
+ * Rules are checked in order and the first match names the element's component.
+ */
+const COMPONENT_DETECTORS = [
+    { component: 'skip-link', test: el => el.tag === 'a' && /^#/.test(el.attrs.href || '') && /\bskip\b/i.test(textContent(el)) },
+    { component: 'breadcrumbs', test: el => el.tag === 'nav' && /breadcrumb/i.test(el.attrs['aria-label'] || el.attrs.class || '') },
+    { component: 'pagination-nav', test: el => el.tag === 'nav' && /pagination|pager/i.test(el.attrs['aria-label'] || el.attrs.class || '') },
+    { component: 'navigation-landmark', test: el => el.tag === 'nav' || role(el) === 'navigation' },
+    { component: 'header-landmark', test: el => (el.tag === 'header' && !closest(el, n => ['article', 'section', 'main'].includes(n.tag))) || role(el) === 'banner' },
+    { component: 'footer-landmark', test: el => (el.tag === 'footer' && !closest(el, n => ['article', 'section', 'main'].includes(n.tag))) || role(el) === 'contentinfo' },
+    { component: 'main-landmark', test: el => el.tag === 'main' || role(el) === 'main' },
+    { component: 'search', test: el => el.tag === 'search' || role(el) === 'search' || (el.tag === 'input' && inputType(el) === 'search') },
+    { component: 'form', test: el => el.tag === 'form' },
+    { component: 'toggle-switch', test: el => role(el) === 'switch' },
+    { component: 'checkbox', test: el => (el.tag === 'input' && inputType(el) === 'checkbox') || role(el) === 'checkbox' },
+    { component: 'radio-button', test: el => (el.tag === 'input' && inputType(el) === 'radio') || role(el) === 'radio' },
+    { component: 'password-input', test: el => el.tag === 'input' && inputType(el) === 'password' },
+    { component: 'number-input', test: el => el.tag === 'input' && inputType(el) === 'number' },
+    { component: 'stepper-input', test: el => role(el) === 'spinbutton' },
+    { component: 'date-picker', test: el => el.tag === 'input' && ['date', 'datetime-local', 'month', 'week'].includes(inputType(el)) },
+    { component: 'range-slider', test: el => (el.tag === 'input' && inputType(el) === 'range') || role(el) === 'slider' },
+    { component: 'autocomplete', test: el => role(el) === 'combobox' || (el.attrs['aria-autocomplete'] && el.attrs['aria-autocomplete'] !== 'none') || (el.tag === 'input' && el.attrs.list) },
+    { component: 'button', test: el => el.tag === 'button' || role(el) === 'button' || (el.tag === 'input' && ['button', 'submit', 'reset', 'image'].includes(inputType(el))) },
+    { component: 'text-input', test: el => el.tag === 'input' && ['text', 'email', 'tel', 'url'].includes(inputType(el)) },
+    { component: 'select-dropdown', test: el => el.tag === 'select' || role(el) === 'listbox' },
+    { component: 'textarea-multiline-input', test: el => el.tag === 'textarea' },
+    { component: 'link', test: el => el.tag === 'a' || role(el) === 'link' },
+    { component: 'decorative-image', test: el => el.tag === 'img' && (el.attrs.alt === '' || el.attrs['aria-hidden'] === 'true' || ['presentation', 'none'].includes(role(el))) },
+    { component: 'informative-image', test: el => el.tag === 'img' || (el.tag === 'svg' && role(el) === 'img') || role(el) === 'img' },
+    { component: 'heading', test: el => /^h[1-6]$/.test(el.tag) || role(el) === 'heading' },
+    { component: 'list', test: el => ['ul', 'ol', 'dl'].includes(el.tag) || role(el) === 'list' },
+    { component: 'table', test: el => el.tag === 'table' || role(el) === 'table' || role(el) === 'grid' },
+    { component: 'tabs', test: el => role(el) === 'tablist' },
+    { component: 'modal-dialog', test: el => el.tag === 'dialog' || role(el) === 'dialog' || role(el) === 'alertdialog' },
+    { component: 'expander-accordion', test: el => el.tag === 'details' },
+    { component: 'iframe', test: el => el.tag === 'iframe' },
+    { component: 'figure', test: el => el.tag === 'figure' },
+    { component: 'video-audio-player', test: el => el.tag === 'video' || el.tag === 'audio' },
+    { component: 'progress-indicator', test: el => el.tag === 'progress' || el.tag === 'meter' || role(el) === 'progressbar' },
+    { component: 'tooltip', test: el => role(el) === 'tooltip' },
+    { component: 'alert-notification', test: el => role(el) === 'alert' || role(el) === 'status' || (el.attrs['aria-live'] && el.attrs['aria-live'] !== 'off') },
+    { component: 'separator-horizontal-rule', test: el => el.tag === 'hr' || role(el) === 'separator' },
+    { component: 'strikethrough-content', test: el => el.tag === 's' || el.tag === 'del' },
+    { component: 'carousel-slideshow', test: el => el.attrs['aria-roledescription'] === 'carousel' },
+    { component: 'scrolling-container', test: el => /overflow\s*:\s*(auto|scroll)/i.test(el.attrs.style || '') }
+];
+
+/**
+ * Catalog component an element represents, or null
+ */
+function detectComponent(element) {
+    const detector = COMPONENT_DETECTORS.find(d => d.test(element));
+    return detector ? detector.component : null;
+}
+
+function isFocusable(element) {
+    if ('tabindex' in element.attrs) return Number(element.attrs.tabindex) >= 0;
+    if (element.tag === 'a') return 'href' in element.attrs;
+    if ('disabled' in element.attrs) return false;
+    return NATIVE_INTERACTIVE.has(element.tag) && !(element.tag === 'input' && inputType(element) === 'hidden');
+}
+
+/**
+ * Markup checks
+ * Each rule looks at one element and returns a message when it fails. The component
+ * is the catalog entry whose criteria the rule comes from; wcag lists the success criteria.
+ */
+const AUDIT_RULES = [
+    {
+        id: 'clickable-non-interactive',
+        severity: 'error',
+        component: 'button',
+        wcag: ['2.1.1', '4.1.2'],
+        check: el => ('onclick' in el.attrs) && !NATIVE_INTERACTIVE.has(el.tag) && !role(el)
+            ? `\`<${el.tag}>\` with a click handler is not a button for keyboard or screen reader users. Use \`<button>\`, or add role="button", tabindex="0" and Enter/Space key handlers.`
+            : null
+    },
+    {
+        id: 'link-without-href',
+        severity: 'error',
+        component: 'link',
+        wcag: ['2.1.1', '4.1.2'],
+        check: el => el.tag === 'a' && !('href' in el.attrs) && !role(el) && ('onclick' in el.attrs)
+            ? '`<a>` without an href is not focusable or announced as a link. If it goes somewhere, give it an href; if it does something, use `<button>`.'
+            : null
+    },
+    {
+        id: 'custom-control-not-focusable',
+        severity: 'error',
+        component: el => detectComponent(el) || 'button',
+        wcag: ['2.1.1'],
+        check: el => ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'slider', 'menuitem'].includes(role(el)) &&
+            !NATIVE_INTERACTIVE.has(el.tag) && !('tabindex' in el.attrs)
+            ? `Custom role="${role(el)}" is not keyboard focusable. Add tabindex="0".`
+            : null
+    },
+    {
+        id: 'prefer-aria-disabled',
+        severity: 'notice',
+        component: 'button',
+        wcag: [],
+        check: el => (el.tag === 'button' || (el.tag === 'input' && inputType(el) === 'submit')) && ('disabled' in el.attrs)
+            ? 'The disabled attribute removes the button from the tab order. Prefer `aria-disabled="true"` so screen reader users can find it and be told why it is unavailable.'
+            : null
+    },
+    {
+        id: 'img-missing-alt',
+        severity: 'error',
+        component: 'informative-image',
+        wcag: ['1.1.1'],
+        check: el => el.tag === 'img' && !('alt' in el.attrs) && !el.attrs['aria-label'] && !el.attrs['aria-labelledby'] &&
+            el.attrs['aria-hidden'] !== 'true' && !['presentation', 'none'].includes(role(el))
+            ? '`<img>` has no alt attribute. Describe informative images; use `alt=""` for decorative ones.'
+            : null
+    },
+    {
+        id: 'svg-image-missing-name',
+        severity: 'error',
+        component: 'informative-image',
+        wcag: ['1.1.1'],
+        check: (el, context) => el.tag === 'svg' && role(el) === 'img' && !accessibleName(el, context)
+            ? '`<svg role="img">` has no accessible name. Add aria-label or a `<title>`.'
+            : null
+    },
+    {
+        id: 'input-missing-label',
+        severity: 'error',
+        component: el => detectComponent(el) || 'text-input',
+        wcag: ['1.3.1', '4.1.2'],
+        check: (el, context) => {
+            const isField = (el.tag === 'input' && !UNLABELLED_INPUT_TYPES.has(inputType(el))) ||
+                el.tag === 'select' || el.tag === 'textarea';
+            if (!isField || accessibleName(el, context)) return null;
+            return el.attrs.placeholder
+                ? `\`<${el.tag}>\` is labelled only by its placeholder, which disappears on input and is not a reliable name. Add a \`<label>\`.`
+                : `\`<${el.tag}>\` has no label. Associate a \`<label for="...">\` or wrap it in a \`<label>\`.`;
+        }
+    },
+    {
+        id: 'control-missing-name',
+        severity: 'error',
+        component: el => detectComponent(el),
+        wcag: ['4.1.2', '2.4.4'],
+        check: (el, context) => {
+            const component = detectComponent(el);
+            if (!['button', 'link'].includes(component) || el.tag === 'input') return null;
+            if (el.tag === 'a' && !('href' in el.attrs) && !role(el)) return null;
+            return accessibleName(el, context) ? null : `This ${component} has no text or aria-label, so screen readers announce only its role.`;
+        }
+    },
+    {
+        id: 'positive-tabindex',
+        severity: 'warning',
+        component: el => detectComponent(el),
+        wcag: ['2.4.3'],
+        check: el => Number(el.attrs.tabindex) > 0
+            ? `tabindex="${el.attrs.tabindex}" overrides the natural focus order. Use 0 or -1 and order the markup instead.`
+            : null
+    },
+    {
+        id: 'aria-hidden-focusable',
+        severity: 'error',
+        component: el => detectComponent(el),
+        wcag: ['4.1.2'],
+        check: el => isFocusable(el) && closest({ parent: el }, node => node.attrs['aria-hidden'] === 'true')
+            ? 'A focusable element is inside `aria-hidden="true"`, so keyboard users reach it but screen readers announce nothing.'
+            : null
+    },
+    {
+        id: 'iframe-missing-title',
+        severity: 'error',
+        component: 'iframe',
+        wcag: ['4.1.2'],
+        check: (el, context) => el.tag === 'iframe' && !el.attrs.title && !accessibleName(el, context)
+            ? '`<iframe>` has no title describing its content.'
+            : null
+    },
+    {
+        id: 'heading-level-skipped',
+        severity: 'warning',
+        component: 'heading',
+        wcag: ['1.3.1'],
+        check: (el, context) => {
+            const match = el.tag.match(/^h([1-6])$/);
+            if (!match) return null;
+            const level = Number(match[1]);
+            const previous = context.previousHeadingLevel;
+            context.previousHeadingLevel = level;
+            return previous && level > previous + 1
+                ? `Heading level jumps from h${previous} to h${level}. Headings should not skip levels.`
+                : null;
+        }
+    },
+    {
+        id: 'table-missing-headers',
+        severity: 'warning',
+        component: 'table',
+        wcag: ['1.3.1'],
+        check: el => el.tag === 'table' && !['presentation', 'none'].includes(role(el)) && !walk(el).some(c => c.tag === 'th')
+            ? '`<table>` has no `<th>` header cells, so screen readers cannot announce row or column headers.'
+            : null
+    },
+    {
+        id: 'media-missing-controls',
+        severity: 'warning',
+        component: 'video-audio-player',
+        wcag: ['2.1.1', '2.2.2'],
+        check: el => (el.tag === 'video' || el.tag === 'audio') && !('controls' in el.attrs)
+            ? `\`<${el.tag}>\` has no controls attribute. Provide native or custom keyboard-operable controls.`
+            : null
+    },
+    {
+        id: 'video-missing-captions',
+        severity: 'warning',
+        component: 'video-audio-player',
+        wcag: ['1.2.2'],
+        check: el => el.tag === 'video' && !el.children.some(c => c.tag === 'track' && ['captions', 'subtitles'].includes((c.attrs.kind || '').toLowerCase()))
+            ? '`<video>` has no captions `<track>`.'
+            : null
+    },
+    {
+        id: 'radio-group-missing-name',
+        severity: 'warning',
+        component: 'radio-button',
+        wcag: ['1.3.1'],
+        check: el => el.tag === 'input' && inputType(el) === 'radio' &&
+            !closest(el, node => node.tag === 'fieldset' || ['radiogroup', 'group'].includes(role(node)))
+            ? 'Radio button is not in a `<fieldset>` with a `<legend>` (or `role="radiogroup"`), so the group question is not announced.'
+            : null
+    },
+    {
+        id: 'html-missing-lang',
+        severity: 'error',
+        component: 'basic-web-page',
+        wcag: ['3.1.1'],
+        check: el => el.tag === 'html' && !normalize(el.attrs.lang)
+            ? '`<html>` has no lang attribute.'
+            : null
+    }
+];
+
+/**
+ * Audit an HTML snippet
+ * @param {string} html - Markup to check
+ * @returns {Object} { components: [{ name, label, url, count }], findings: [...], summary }
+ */
+export function auditHtml(html) {
+    const root = parseHtml(html);
+    const elements = walk(root);
+
+    const context = { byId: new Map(), labelsFor: new Map(), previousHeadingLevel: null };
+    for (const el of elements) {
+        if (el.attrs.id) context.byId.set(el.attrs.id, el);
+        if (el.tag === 'label' && el.attrs.for) {
+            if (!context.labelsFor.has(el.attrs.for)) context.labelsFor.set(el.attrs.for, []);
+            context.labelsFor.get(el.attrs.for).push(el);
+        }
+    }
+
+    const counts = new Map();
+    const findings = [];
+
+    for (const el of elements) {
+        const detected = detectComponent(el);
+        if (detected) counts.set(detected, (counts.get(detected) || 0) + 1);
+
+        for (const rule of AUDIT_RULES) {
+            const message = rule.check(el, context);
+            if (!message) continue;
+
+            const name = typeof rule.component === 'function' ? rule.component(el) : rule.component;
+            const component = name ? findComponent('web', name) : null;
+            findings.push({
+                rule: rule.id,
+                severity: rule.severity,
+                message,
+                line: el.line,
+                element: el.source.length > 120 ? el.source.slice(0, 117) + '...' : el.source,
+                component: component ? {
+                    name: component.name,
+                    label: component.label,
+                    url: getComponentUrl('web', component)
+                } : null,
+                wcag: rule.wcag.map(findWcagCriterion).filter(Boolean).map(sc => ({
+                    number: sc.number,
+                    name: sc.name,
+                    level: sc.level,
+                    url: sc.url
+                }))
+            });
+        }
+    }
+
+    const components = [...counts].map(([name, count]) => {
+        const component = findComponent('web', name);
+        return component
+            ? { name: component.name, label: component.label, url: getComponentUrl('web', component), count }
+            : { name, label: name, url: null, count };
+    });
+
+    const summary = { errors: 0, warnings: 0, notices: 0 };
+    for (const finding of findings) {
+        summary[`${finding.severity}s`]++;
+    }
+
+    return { components, findings, summary };
+}
@@ -0,0 +1,210 @@
+/**
+ * Content Changelog
+ * Compares two content.json snapshots at component and section level, and answers
+ * "what changed since" queries from the changelog that npm run update-content keeps
+ * in data/changes.json, plus the content reloads seen while the server runs
+ */
+
+// Import the changelog directly - works with bundlers (esbuild, webpack) and Node.js
+import bundledChangelog from '../data/changes.json' with { type: 'json' };
+
+// Changelog in use; replaced by setChangelog when content is served from another file
+let changelog = bundledChangelog;
+
+// Content reloads since startup that no changelog entry describes (see recordContentReload)
+const reloads = [];
+
+/**
+ * Component fields compared between snapshots, with their display names
+ */
+export const CHANGE_SECTIONS = [
+    { section: 'label', title: 'Label' },
+    { section: 'categoryName', title: 'Category' },
+    { section: 'generalNotes', title: 'General Notes' },
+    { section: 'gherkin', title: 'Gherkin Criteria' },
+    { section: 'condensed', title: 'Condensed Criteria' },
+    { section: 'criteria', title: 'Criteria' },
+    { section: 'developerNotes', title: 'Developer Notes' },
+    { section: 'iosDeveloperNotes', title: 'iOS Developer Notes' },
+    { section: 'androidDeveloperNotes', title: 'Android Developer Notes' },
+    { section: 'videos', title: 'Videos' }
+];
+
+/**
+ * Components of one platform keyed by slug, with their category slug
+ */
+function componentsByName(content, platform) {
+    const components = new Map();
+    for (const cat of content?.[platform] || []) {
+        for (const child of cat.children || []) {
+            components.set(child.name, { ...child, categoryName: cat.name });
+        }
+    }
+    return components;
+}
+
+/**
+ * Trimmed, non-empty lines of a section
+ */
+function sectionLines(text) {
+    return (text || '').replace(/\r\n/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Lines only in `from`, counting repeated lines (gherkin steps repeat across sections)
+ */
+function missingLines(from, to) {
+    const remaining = new Map();
+    for (const line of to) {
+        remaining.set(line, (remaining.get(line) || 0) + 1);
+    }
+    return from.filter(line => {
+        const count = remaining.get(line) || 0;
+        remaining.set(line, count - 1);
+        return count <= 0;
+    });
+}
+
+/**
+ * How one section of a component changed, or null if it didn't
+ * Text sections report the lines (gherkin steps, note bullets) added and removed.
+ */
+function diffSection(section, before, after) {
+    const oldValue = before[section] ?? '';
+    const newValue = after[section] ?? '';
+    if (oldValue === newValue) {
+        return null;
+    }
+
+    const change = !oldValue ? 'added' : !newValue ? 'removed' : 'changed';
+    const oldLines = sectionLines(oldValue);
+    const newLines = sectionLines(newValue);
+    const added = missingLines(newLines, oldLines);
+    const removed = missingLines(oldLines, newLines);
+
+    // Whitespace-only edits aren't worth reporting
+    if (change === 'changed' && added.length === 0 && removed.length === 0) {
+        return null;
+    }
+    return { section, change, added, removed };
+}
+
+/**
+ * Identity of a component in a diff
+ */
+function componentRef(platform, component) {
+    return { platform, name: component.name, label: component.label, categoryName: component.categoryName };
+}
+
+/**
+ * Compare two content.json snapshots
+ * Components are matched by platform and slug; a component that moved category is
+ * reported as a change to its 'categoryName' section.
+ * @param {Object} before - Previous content.json data
+ * @param {Object} after - New content.json data
+ * @returns {Object} { summary: { added, removed, changed }, added, removed, changed }
+ *   where changed components list their sections as { section, change, added, removed }
+ */
+export function diffContent(before, after) {
+    const platforms = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const platform of platforms) {
+        const oldComponents = componentsByName(before, platform);
+        const newComponents = componentsByName(after, platform);
+
+        for (const [name, component] of newComponents) {
+            const previous = oldComponents.get(name);
+            if (!previous) {
+                diff.added.push(componentRef(platform, component));
+                continue;
+            }
+            const sections = CHANGE_SECTIONS
+                .map(({ section }) => diffSection(section, previous, component))
+                .filter(Boolean);
+            if (sections.length > 0) {
+                diff.changed.push({ ...componentRef(platform, component), sections });
+            }
+        }
+
+        for (const [name, component] of oldComponents) {
+            if (!newComponents.has(name)) {
+                diff.removed.push(componentRef(platform, component));
+            }
+        }
+    }
+
+    return {
+        summary: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length },
+        ...diff
+    };
+}
+
+/**
+ * Replace the changelog, e.g. with the changes.json next to a content file served with --content
+ * @param {Array} entries - Changelog entries as written by npm run update-content
+ */
+export function setChangelog(entries) {
+    changelog = entries;
+}
+
+/**
+ * Record a content reload (the content file or an overlay changed while the server runs)
+ * Nothing is saved for a reload, so its entry has no snapshot.
+ * @param {Object} diff - Result of diffContent(previous, reloaded)
+ */
+export function recordContentReload(diff) {
+    reloads.push({ snapshot: null, date: new Date().toISOString(), ...diff });
+}
+
+/**
+ * Recorded content updates, oldest first
+ * @returns {Array} Changelog entries and reloads as { snapshot, date, summary, added, removed, changed }
+ */
+export function listContentUpdates() {
+    return [...changelog, ...reloads].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Content updates since a snapshot or date, optionally narrowed to one platform or component
+ * @param {Object} [options]
+ * @param {string} [options.since] - Snapshot id (changes from that snapshot on) or ISO date
+ * @param {string} [options.platform] - 'web', 'native' or 'how-to-test'
+ * @param {string} [options.component] - Component slug
+ * @returns {Array|null} Matching updates, or null if since is neither a snapshot nor a date
+ */
+export function getContentChanges({ since = null, platform = null, component = null } = {}) {
+    let updates = listContentUpdates();
+
+    if (since) {
+        const start = updates.findIndex(update => update.snapshot === since);
+        if (start !== -1) {
+            updates = updates.slice(start);
+        } else {
+            const time = Date.parse(since);
+            if (Number.isNaN(time)) {
+                return null;
+            }
+            updates = updates.filter(update => Date.parse(update.date) >= time);
+        }
+    }
+
+    const matches = entry => (!platform || entry.platform === platform) && (!component || entry.name === component);
+    if (!platform && !component) {
+        return updates;
+    }
+    return updates
+        .map(update => {
+            const added = update.added.filter(matches);
+            const removed = update.removed.filter(matches);
+            const changed = update.changed.filter(matches);
+            return {
+                ...update,
+                summary: { added: added.length, removed: removed.length, changed: changed.length },
+                added,
+                removed,
+                changed
+            };
+        })
+        .filter(update => update.added.length + update.removed.length + update.changed.length > 0);
+}
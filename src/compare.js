@@ -0,0 +1,230 @@
+/**
+ * Cross-Platform Comparison
+ * Maps components between the web and native catalogs (which use different slugs
+ * and categories) and lines up their condensed criteria for web and native. Native
+ * criteria are written once for iOS and Android, so they form a single column.
+ */
+
+import {
+    findComponent,
+    resolveComponent,
+    getStructuredCriteria,
+    getComponentUrl
+} from './helpers.js';
+
+/**
+ * Web and native components that cover the same control under different slugs
+ * Components with the same slug on both platforms (button, checkbox, ...) map automatically.
+ */
+const CROSS_PLATFORM_PAIRS = [
+    { web: 'expander-accordion', native: 'expandable' },
+    { web: 'toast-snackbar', native: 'snackbar-toast' },
+    { web: 'select-dropdown', native: 'dropdown' },
+    { web: 'range-slider', native: 'slider' },
+    { web: 'modal-dialog', native: 'modal' },
+    { web: 'date-picker', native: 'calendar-date-picker' },
+    { web: 'carousel-slideshow', native: 'carousel' },
+    { web: 'stepper-input', native: 'stepper' },
+    { web: 'pagination-nav', native: 'pagination-control' },
+    { web: 'heading', native: 'headings' },
+    { web: 'decorative-image', native: 'image-decorative' },
+    { web: 'strikethrough-content', native: 'strike-through' },
+    { web: 'help-hint-error', native: 'field-errors' },
+    { web: 'complex-graphics', native: 'graphics-visual-elements' },
+    { web: 'iframe', native: 'webview' }
+];
+
+const OTHER_PLATFORM = { web: 'native', native: 'web' };
+
+/**
+ * Behavior groups compared side by side, picked from the condensed section tags
+ */
+const ASPECTS = [
+    { aspect: 'keyboard', label: 'Keyboard' },
+    { aspect: 'gestures', label: 'Screen Reader Gestures' },
+    { aspect: 'screenReader', label: 'Screen Reader Output' },
+    { aspect: 'deviceSettings', label: 'Device Settings' },
+    { aspect: 'other', label: 'Other' }
+];
+
+/**
+ * Keys and gestures recognized in step actions, whatever the spelling
+ * ("Arrow-keys", "Right and left arrow-keys" and "Tab, arrow keys or ctl+tab" all mention arrow keys)
+ */
+const ACTION_TERMS = [
+    { key: 'swipe up/down', pattern: /swipe[\s-]*up[\s/-]*(?:or[\s-]*)?down/ },
+    { key: 'swipe', pattern: /swipe/ },
+    { key: 'doubletap', pattern: /double[\s-]?tap/ },
+    { key: 'tab', pattern: /\btab\b/ },
+    { key: 'arrow keys', pattern: /\barrow/ },
+    { key: 'spacebar', pattern: /\bspace/ },
+    { key: 'enter', pattern: /\benter\b/ },
+    { key: 'escape', pattern: /\besc(ape)?\b/ },
+    { key: 'volume', pattern: /\bvolume\b/ },
+    { key: 'text resize', pattern: /\btext resize\b/ },
+    { key: 'reduced motion', pattern: /\breduced motion\b/ }
+];
+
+const SIDES = ['web', 'native'];
+
+/**
+ * Find the component on the other platform that covers the same control
+ * @param {string} platform - 'web' or 'native'
+ * @param {string} componentName - Exact component slug on that platform
+ * @returns {Object|null} { platform, component } or null if there is no counterpart
+ */
+export function findCounterpart(platform, componentName) {
+    const other = OTHER_PLATFORM[platform];
+    if (!other) return null;
+
+    const pair = CROSS_PLATFORM_PAIRS.find(p => p[platform] === componentName);
+    const counterpartName = pair ? pair[other] : componentName;
+    const component = findComponent(other, counterpartName);
+
+    // findComponent is fuzzy; only an exact slug counts as the same control
+    if (!component || component.name !== counterpartName) return null;
+    return { platform: other, component };
+}
+
+/**
+ * Which comparison group a condensed section belongs to
+ */
+function sectionAspect(section) {
+    const tags = section.tags || [];
+    if (tags.includes('device-settings')) return 'deviceSettings';
+    if (tags.includes('keyboard')) return 'keyboard';
+    if (tags.includes('mobile')) return 'gestures';
+    if (tags.includes('screenreader')) return 'screenReader';
+    return 'other';
+}
+
+/**
+ * Normalize text for comparison: lowercase, without emphasis, parentheticals or separators
+ */
+function normalizeText(text) {
+    return text.toLowerCase().replace(/\*+/g, '').replace(/\(.*?\)/g, '').replace(/[-_:]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a step action so the same key or gesture lines up across platforms
+ * The first recognized key or gesture wins ("Tab, arrow keys or ctl+tab" -> "tab");
+ * other actions are compared by their text ("**Name**" -> "name").
+ */
+function actionKey(action) {
+    const text = action.toLowerCase().replace(/\*+/g, '');
+    let best = null;
+    for (const term of ACTION_TERMS) {
+        const match = term.pattern.exec(text);
+        if (match && (!best || match.index < best.index)) {
+            best = { key: term.key, index: match.index };
+        }
+    }
+    if (best) return best.key;
+    return normalizeText(action);
+}
+
+/**
+ * Behavior rows for one platform's condensed criteria, keyed by aspect and action
+ */
+function collectSteps(criteria, side, rows) {
+    for (const section of criteria?.sections || []) {
+        const aspect = sectionAspect(section);
+        for (const step of section.steps) {
+            const key = actionKey(step.action);
+            const rowId = `${aspect}:${key}`;
+            if (!rows.has(rowId)) {
+                rows.set(rowId, { aspect, key, action: step.action, web: null, native: null });
+            }
+            const row = rows.get(rowId);
+            const expected = step.expected.map(e => e.text).join(' ');
+            row[side] = row[side] ? `${row[side]} ${expected}` : expected;
+        }
+    }
+}
+
+/**
+ * Describe how one row differs between web and native, or null if it applies to both alike
+ * Expected results are compared after normalizing case, emphasis and parentheticals,
+ * so "Toggles the checkbox" and "Activates on iOS and Android" count as a difference.
+ */
+function describeDifference(row, sides) {
+    const present = sides.filter(side => row[side] !== null);
+    if (present.length < sides.length) {
+        return `${row.action}: only on ${present.join(' and ')}`;
+    }
+    if (sides.length === 2 && normalizeText(row.web) !== normalizeText(row.native)) {
+        return `${row.action}: web and native differ`;
+    }
+    return null;
+}
+
+/**
+ * Compare a component's behavior on web and native
+ * @param {string} componentName - Component name on either platform (fuzzy)
+ * @param {string} [platform] - Platform the name belongs to; tried as web, then native, if omitted
+ * @returns {Object} { component, ambiguous, alternatives } when the name can't be resolved,
+ *   otherwise { web, native, aspects, differences, developerNotes }
+ */
+export function compareAcrossPlatforms(componentName, platform = null) {
+    let resolved = null;
+    let failure = null;
+    for (const candidate of platform ? [platform] : ['web', 'native']) {
+        const result = resolveComponent(candidate, componentName);
+        if (result.component) {
+            resolved = { platform: candidate, component: result.component };
+            break;
+        }
+        failure = failure || { ...result, platform: candidate };
+    }
+    if (!resolved) {
+        return { component: null, ...failure };
+    }
+
+    const counterpart = findCounterpart(resolved.platform, resolved.component.name);
+    const byPlatform = { [resolved.platform]: resolved.component };
+    if (counterpart) {
+        byPlatform[counterpart.platform] = counterpart.component;
+    }
+    const web = byPlatform.web || null;
+    const native = byPlatform.native || null;
+    const sides = SIDES.filter(side => byPlatform[side]);
+
+    const rows = new Map();
+    if (web) collectSteps(getStructuredCriteria('web', web.name, 'condensed'), 'web', rows);
+    if (native) collectSteps(getStructuredCriteria('native', native.name, 'condensed'), 'native', rows);
+
+    const aspects = ASPECTS
+        .map(({ aspect, label }) => ({
+            aspect,
+            label,
+            rows: [...rows.values()]
+                .filter(row => row.aspect === aspect)
+                .map(({ key, action, web: webText, native: nativeText }) => ({ key, action, web: webText, native: nativeText }))
+        }))
+        .filter(group => group.rows.length > 0);
+
+    const differences = aspects.flatMap(group => group.rows
+        .map(row => describeDifference(row, sides))
+        .filter(Boolean)
+        .map(text => ({ aspect: group.aspect, text })));
+
+    const summary = (p, component) => component && {
+        name: component.name,
+        label: component.label,
+        category: component.category,
+        categoryName: component.categoryName,
+        url: getComponentUrl(p, component)
+    };
+
+    return {
+        web: summary('web', web),
+        native: summary('native', native),
+        aspects,
+        differences,
+        developerNotes: {
+            web: !!web?.developerNotes,
+            ios: !!native?.iosDeveloperNotes,
+            android: !!native?.androidDeveloperNotes
+        }
+    };
+}
@@ -0,0 +1,222 @@
+/**
+ * Runtime Content Source
+ * Serves content.json from a path given at startup instead of the bundled copy, merges
+ * an organization overlay directory into it, and reloads both when they change. Only the
+ * Node entry point uses this; bundled deployments (Netlify Functions) keep the static
+ * imports in helpers.js and changes.js.
+ */
+
+import { existsSync, readFileSync, readdirSync, watch } from 'fs';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { loadContent, setContent } from './helpers.js';
+import { validateContent } from './importer.js';
+import { diffContent, recordContentReload, setChangelog } from './changes.js';
+import { applyOverlays } from './overlay.js';
+
+// Environment variable naming a content.json to serve (same as --content)
+export const CONTENT_PATH_ENV = 'MCP_CONTENT_PATH';
+
+// Environment variable naming an overlay directory to merge in (same as --overlay)
+export const OVERLAY_PATH_ENV = 'MCP_OVERLAY_PATH';
+
+// Changelog read from the content file's directory, as npm run update-content writes it
+const CHANGELOG_FILE = 'changes.json';
+
+// Files read from an overlay directory
+const OVERLAY_EXTENSIONS = ['.json', '.md'];
+
+// Wait for writes to settle before reloading; editors and copies emit several events per save
+const RELOAD_DELAY_MS = 200;
+
+// Schema errors listed in a load error before it is cut short
+const MAX_ERRORS_SHOWN = 5;
+
+/**
+ * Join problems into one error message, up to MAX_ERRORS_SHOWN
+ */
+function listProblems(problems) {
+    const more = problems.length > MAX_ERRORS_SHOWN ? `; ...and ${problems.length - MAX_ERRORS_SHOWN} more` : '';
+    return `${problems.slice(0, MAX_ERRORS_SHOWN).join('; ')}${more}`;
+}
+
+/**
+ * Read and validate a content.json file
+ * @param {string} path - Path of the file
+ * @returns {Object} { content, text }
+ * @throws {Error} If the file can't be read, isn't JSON or doesn't match the content schema
+ */
+export function readContentFile(path) {
+    const text = readFileSync(path, 'utf8');
+
+    let content;
+    try {
+        content = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${path} is not valid JSON (${error.message})`);
+    }
+
+    const errors = validateContent(content);
+    if (errors.length > 0) {
+        throw new Error(`${path} does not match the content schema: ${listProblems(errors.map(e => `${e.path}: ${e.message}`))}`);
+    }
+
+    return { content, text };
+}
+
+/**
+ * Read the changelog next to a content file; a missing changelog has no entries
+ * @param {string} path - Path of the changes.json
+ * @returns {Object} { changelog, text }
+ * @throws {Error} If the file isn't a JSON array
+ */
+function readChangelogFile(path) {
+    if (!existsSync(path)) {
+        return { changelog: [], text: '' };
+    }
+    const text = readFileSync(path, 'utf8');
+    let changelog;
+    try {
+        changelog = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${path} is not valid JSON (${error.message})`);
+    }
+    if (!Array.isArray(changelog)) {
+        throw new Error(`${path} is not a changelog (expected an array of updates)`);
+    }
+    return { changelog, text };
+}
+
+/**
+ * Read the overlay files (.json and .md) in a directory, in name order
+ * @param {string} dir - Overlay directory
+ * @returns {Object[]} Files as { file, text }
+ */
+export function readOverlayDirectory(dir) {
+    return readdirSync(dir)
+        .filter(file => OVERLAY_EXTENSIONS.includes(extname(file)))
+        .sort()
+        .map(file => ({ file, text: readFileSync(join(dir, file), 'utf8') }));
+}
+
+/**
+ * Read the content file (or use the bundled content) and its changelog, and merge the overlays in
+ * @returns {Object} { content, changelog, fingerprint } - changelog is null with the bundled
+ *   content (the bundled changelog stays); fingerprint changes whenever any input does
+ * @throws {Error} If the content file, its changelog or an overlay is unreadable or invalid
+ */
+function readSource(source) {
+    const base = source.contentPath ? readContentFile(source.contentPath) : { content: source.bundled, text: '' };
+    const log = source.contentPath ? readChangelogFile(join(dirname(source.contentPath), CHANGELOG_FILE)) : { changelog: null, text: '' };
+    if (!source.overlayPath) {
+        return { content: base.content, changelog: log.changelog, fingerprint: `${base.text}\0${log.text}` };
+    }
+
+    const files = readOverlayDirectory(source.overlayPath);
+    const { content, errors } = applyOverlays(base.content, files);
+    if (errors.length > 0) {
+        throw new Error(`Invalid overlay in ${source.overlayPath}: ${listProblems(errors)}`);
+    }
+    const schemaErrors = validateContent(content);
+    if (schemaErrors.length > 0) {
+        throw new Error(`Overlays in ${source.overlayPath} produce invalid content: ${listProblems(schemaErrors.map(e => `${e.path}: ${e.message}`))}`);
+    }
+
+    const fingerprint = [base.text, log.text, ...files.map(({ file, text }) => `${file}\n${text}`)].join('\0');
+    return { content, changelog: log.changelog, fingerprint };
+}
+
+/**
+ * Serve content from a file and/or with overlays, replacing the bundled content
+ * @param {Object} options
+ * @param {string} [options.contentPath] - Path of a content.json (default: the bundled content)
+ * @param {string} [options.overlayPath] - Directory of overlay files to merge in
+ * @returns {Object} Content source for watchContentSource
+ * @throws {Error} If the content file or an overlay is unreadable or invalid
+ */
+export function useContentSource({ contentPath = null, overlayPath = null }) {
+    const source = {
+        contentPath: contentPath && resolve(contentPath),
+        overlayPath: overlayPath && resolve(overlayPath),
+        bundled: loadContent(),
+        fingerprint: null,
+        updates: 0
+    };
+    const { content, changelog, fingerprint } = readSource(source);
+    setContent(content);
+    if (changelog) {
+        setChangelog(changelog);
+        source.updates = changelog.length;
+    }
+    source.fingerprint = fingerprint;
+    return source;
+}
+
+/**
+ * Reload the content whenever the content file, its changelog or an overlay file changes
+ * Directories are watched rather than files, so a file replaced by rename (as many
+ * editors save) keeps being picked up. Content that fails to load leaves the current
+ * content in place. A reload the changelog doesn't describe (no new entry, as when
+ * the file is edited by hand) is recorded for get_content_changes.
+ * @param {Object} source - Content source from useContentSource
+ * @param {Object} handlers
+ * @param {Function} handlers.onReload - Called with the diff ({ summary, added, removed, changed })
+ *   after new content is in place
+ * @param {Function} handlers.onError - Called with the Error when the content can't be loaded
+ * @returns {Function} Stops watching
+ */
+export function watchContentSource(source, { onReload, onError }) {
+    let timer = null;
+
+    const reload = () => {
+        timer = null;
+        try {
+            const { content, changelog, fingerprint } = readSource(source);
+            if (fingerprint === source.fingerprint) {
+                return;
+            }
+            const previous = loadContent();
+            setContent(content);
+            source.fingerprint = fingerprint;
+
+            const logged = changelog && changelog.length > source.updates;
+            if (changelog) {
+                setChangelog(changelog);
+                source.updates = changelog.length;
+            }
+            const diff = diffContent(previous, content);
+            const { added, removed, changed } = diff.summary;
+            if (!logged && added + removed + changed > 0) {
+                recordContentReload(diff);
+            }
+            onReload(diff);
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(reload, RELOAD_DELAY_MS);
+    };
+
+    const watchers = [];
+    if (source.contentPath) {
+        watchers.push(watch(dirname(source.contentPath), (eventType, filename) => {
+            if (!filename || filename === basename(source.contentPath) || filename === CHANGELOG_FILE) {
+                schedule();
+            }
+        }));
+    }
+    if (source.overlayPath) {
+        watchers.push(watch(source.overlayPath, (eventType, filename) => {
+            if (!filename || OVERLAY_EXTENSIONS.includes(extname(filename))) {
+                schedule();
+            }
+        }));
+    }
+
+    return () => {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+    };
+}
@@ -0,0 +1,88 @@
+/**
+ * Tool Error Results
+ * Failed tool calls return an MCP result with isError: true, a human-readable message
+ * and a machine-readable error in structuredContent, so clients can tell a failure
+ * from a hit without parsing the text
+ */
+
+/**
+ * Error codes reported in structuredContent.error.code
+ */
+export const ERROR_CODES = {
+    // Component, category, guide or criterion doesn't exist
+    NOT_FOUND: 'NOT_FOUND',
+    // Component exists but doesn't have the requested content (e.g., no gherkin)
+    NO_FORMAT: 'NO_FORMAT',
+    // Platform argument isn't one the tool supports
+    INVALID_PLATFORM: 'INVALID_PLATFORM',
+    // Name matches several components equally well
+    AMBIGUOUS: 'AMBIGUOUS',
+    // Arguments don't match the tool's inputSchema
+    INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
+    // Unexpected failure inside the tool
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Create an error result for a tool call
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Message shown to the user or model
+ * @param {Object} [details] - Extra structured data (e.g., { suggestions: [...] })
+ * @param {string} [text] - Text content, when it should say more than the message
+ * @returns {Object} MCP tool result with isError: true
+ */
+export function errorResponse(code, message, details = {}, text = message) {
+    return {
+        content: [{ type: 'text', text }],
+        structuredContent: {
+            error: { code, message, ...details }
+        },
+        isError: true
+    };
+}
+
+/**
+ * Create the error result for an exception thrown inside a tool
+ * @param {string} action - What the tool was doing (e.g., "getting component")
+ * @param {Error} error - Caught exception
+ * @returns {Object} MCP tool result with isError: true
+ */
+export function internalErrorResponse(action, error) {
+    return errorResponse(ERROR_CODES.INTERNAL_ERROR, `Error ${action}: ${error.message}`);
+}
+
+/**
+ * JSON Schema for structuredContent.error
+ */
+export const ERROR_OUTPUT_SCHEMA = {
+    type: 'object',
+    properties: {
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        message: { type: 'string' },
+        suggestions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { name: { type: 'string' }, label: { type: 'string' } },
+                required: ['name']
+            }
+        }
+    },
+    required: ['code', 'message']
+};
+
+/**
+ * Extend a tool's outputSchema so error results validate too
+ * Clients check structuredContent against the outputSchema even when isError is set,
+ * so the advertised schema accepts either the tool's own result or { error }.
+ * @param {Object} outputSchema - Tool outputSchema (type: 'object')
+ * @returns {Object} Schema accepting the tool result or an error result
+ */
+export function withErrorOutput(outputSchema) {
+    const { required = [], ...schema } = outputSchema;
+    return {
+        ...schema,
+        properties: { ...schema.properties, error: ERROR_OUTPUT_SCHEMA },
+        anyOf: [{ required }, { required: ['error'] }]
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * Export Formats
+ * Turns structured acceptance criteria (see parseAcceptanceCriteria in helpers.js)
+ * into Cucumber feature files and ticket-ready checklists
+ */
+
+const FEATURE_INDENT = '  ';
+
+/**
+ * Make a Cucumber tag from arbitrary text (e.g., 'forms-&-inputs' -> '@forms-inputs')
+ */
+function toTag(text) {
+    return '@' + String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Lowercase the first letter of an outcome ("Its purpose" -> "its purpose"), leaving acronyms alone
+ */
+function uncapitalize(text) {
+    return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
+}
+
+/**
+ * Render one parsed step as Cucumber step lines
+ * "WHEN I use a screenreader AND I use the tab key" becomes a When line and an And line;
+ * outcomes become Then/And lines.
+ */
+function featureStepLines(step) {
+    const lines = [];
+
+    const actions = (step.action || '')
+        .split(/\s+AND\s+(?:THEN\s+)?/)
+        .map(a => a.trim())
+        .filter(Boolean);
+
+    actions.forEach((action, i) => {
+        lines.push(`${i === 0 ? 'When' : 'And'} ${action}`);
+    });
+
+    step.expected.forEach((outcome, i) => {
+        const keyword = i === 0 ? 'Then' : 'And';
+        if (outcome.kind === 'see' || outcome.kind === 'hear') {
+            lines.push(`${keyword} I ${outcome.kind} ${uncapitalize(outcome.text)}`);
+        } else {
+            lines.push(`${keyword} ${outcome.text}`);
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Build a Cucumber .feature file from structured gherkin criteria
+ * @param {Object} criteria - Result of getStructuredCriteria(platform, name, 'gherkin')
+ * @returns {string} Feature file contents
+ */
+export function toFeatureFile(criteria) {
+    const i1 = FEATURE_INDENT;
+    const i2 = FEATURE_INDENT.repeat(2);
+    const lines = [];
+
+    lines.push([toTag('a11y'), toTag(criteria.platform), toTag(criteria.component)].join(' '));
+    lines.push(`Feature: ${criteria.label} accessibility`);
+    if (criteria.summary) {
+        lines.push(`${i1}${criteria.summary}`);
+    }
+    if (criteria.fullInformation) {
+        lines.push(`${i1}Full information: ${criteria.fullInformation}`);
+    }
+
+    if (criteria.given) {
+        lines.push('');
+        lines.push(`${i1}Background:`);
+        lines.push(`${i2}Given ${criteria.given}`);
+    }
+
+    for (const section of criteria.sections) {
+        const tags = [
+            ...section.tags,
+            ...section.assistiveTech
+        ].map(toTag);
+
+        lines.push('');
+        if (tags.length > 0) {
+            lines.push(`${i1}${[...new Set(tags)].join(' ')}`);
+        }
+        lines.push(`${i1}Scenario: ${section.title}`);
+        for (const step of section.steps) {
+            for (const line of featureStepLines(step)) {
+                lines.push(`${i2}${line}`);
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Conventional path for a component's feature file
+ * @param {Object} criteria - Structured criteria with platform and component
+ * @returns {string} e.g. 'features/a11y/web/button.feature'
+ */
+export function featureFilePath(criteria) {
+    return `features/a11y/${criteria.platform}/${criteria.component}.feature`;
+}
+
+/**
+ * Markup used by toStoryChecklist for each output format
+ */
+const CHECKLIST_FORMATS = {
+    markdown: {
+        title: text => `# ${text}`,
+        platform: text => `## ${text}`,
+        component: text => `### ${text}`,
+        section: text => `**${text}**`,
+        item: text => `- [ ] ${text}`,
+        link: (label, url) => `- [${label}](${url})`
+    },
+    jira: {
+        title: text => `h1. ${text}`,
+        platform: text => `h2. ${text}`,
+        component: text => `h3. ${text}`,
+        section: text => `*${text}*`,
+        item: text => `* ${text.replace(/([{}[\]|*_])/g, '\\$1')}`,
+        link: (label, url) => `* [${label}|${url}]`
+    },
+    text: {
+        title: text => text.toUpperCase(),
+        platform: text => `== ${text} ==`,
+        component: text => `${text}`,
+        section: text => `  ${text}`,
+        item: text => `    [ ] ${text}`,
+        link: (label, url) => `  ${label}: ${url}`
+    }
+};
+
+/**
+ * One-line description of a parsed step for a checklist
+ * Condensed: "Tab: Focus visibly moves to the button"
+ * Gherkin: "I use the tab key to move focus to a button → I SEE focus is strongly visually indicated"
+ */
+function checklistItemText(step, type) {
+    const outcomes = step.expected.map(e => {
+        if (e.kind === 'see' || e.kind === 'hear') return `I ${e.kind.toUpperCase()} ${e.text}`;
+        return e.text;
+    });
+
+    if (type === 'condensed') {
+        return [step.action, outcomes.join('; ')].filter(Boolean).join(': ');
+    }
+    return [step.action, outcomes.join('; ')].filter(Boolean).join(' → ');
+}
+
+/**
+ * Build a single ticket-ready checklist from several components' criteria
+ * The shared "#a11y - ... Acceptance Criteria" header is printed once per platform and
+ * the "Full information" links are collected, deduplicated, into a References list.
+ * @param {Array} criteriaList - Structured criteria (getStructuredCriteria results)
+ * @param {Object} [options]
+ * @param {string} [options.format='markdown'] - 'markdown' (GitHub task list), 'jira' or 'text'
+ * @param {string} [options.title] - Optional story title
+ * @returns {string} Checklist text
+ */
+export function toStoryChecklist(criteriaList, { format = 'markdown', title = null } = {}) {
+    const markup = CHECKLIST_FORMATS[format] || CHECKLIST_FORMATS.markdown;
+    const blocks = [];
+
+    if (title) {
+        blocks.push(markup.title(title));
+    }
+
+    const platforms = [...new Set(criteriaList.map(c => c.platform))];
+    for (const platform of platforms) {
+        const items = criteriaList.filter(c => c.platform === platform);
+        const header = items.find(c => c.title)?.title;
+        blocks.push(markup.platform(header ? `${header} (${platform})` : platform));
+
+        for (const criteria of items) {
+            const lines = [markup.component(criteria.label)];
+            for (const section of criteria.sections) {
+                lines.push(markup.section(section.title));
+                const seen = new Set();
+                for (const step of section.steps) {
+                    const text = checklistItemText(step, criteria.type);
+                    if (seen.has(text)) continue;
+                    seen.add(text);
+                    lines.push(markup.item(text));
+                }
+            }
+            blocks.push(lines.join('\n'));
+        }
+    }
+
+    const links = new Map();
+    for (const criteria of criteriaList) {
+        if (criteria.fullInformation && !links.has(criteria.fullInformation)) {
+            links.set(criteria.fullInformation, `${criteria.label} (${criteria.platform})`);
+        }
+    }
+    if (links.size > 0) {
+        const refs = [...links].map(([url, label]) => markup.link(label, url));
+        blocks.push([markup.platform('References'), ...refs].join('\n'));
+    }
+
+    return blocks.join('\n\n') + '\n';
+}
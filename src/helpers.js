@@ -7,24 +7,51 @@
 // Import content.json directly - works with bundlers (esbuild, webpack) and Node.js
 // This approach is compatible with Netlify Functions bundling
 import contentData from '../data/content.json' with { type: 'json' };
+import wcagReference from '../data/wcag.json' with { type: 'json' };
+import { buildSearchIndex, querySearchIndex, buildSnippet } from './search.js';
+import { rankCandidates } from './resolver.js';
+import { componentSources } from './overlay.js';
 
-// Cache reference (using imported data directly)
-const contentCache = contentData;
+/**
+ * Content and the indexes built from it
+ * Replaced as a whole by setContent, so a lookup never pairs new content with old indexes.
+ */
+let contentState = createContentState(contentData);
+
+function createContentState(content) {
+    return { content, searchIndexes: new Map(), wcagIndex: null };
+}
 
 /**
  * Load and cache content.json data
- * Uses static import for bundler compatibility (Netlify Functions)
+ * Uses static import for bundler compatibility (Netlify Functions), unless
+ * setContent has replaced it with content read at runtime
  * @returns {Object} Parsed content data with web and native sections
  */
 export function loadContent() {
-    return contentCache;
+    return contentState.content;
+}
+
+/**
+ * Replace the content every tool, resource and prompt reads
+ * Search and WCAG indexes for the new content are built before the swap, so a
+ * request sees either the old content and indexes or the new ones.
+ * @param {Object} content - Parsed content.json data (validated by the caller)
+ */
+export function setContent(content) {
+    const state = createContentState(content);
+    for (const platform of Object.keys(content)) {
+        getSearchIndex(platform, state);
+    }
+    getWcagIndex(state);
+    contentState = state;
 }
 
 /**
  * Get all components for a platform, optionally filtered by category
  * @param {string} platform - 'web' or 'native'
  * @param {string} [category] - Optional category filter (e.g., 'component', 'controls')
- * @returns {Array} List of component objects with name and label
+ * @returns {Array} List of component objects with name, label and whether an overlay added them
  */
 export function listComponents(platform, category = null) {
     const content = loadContent();
@@ -48,7 +75,8 @@ export function listComponents(platform, category = null) {
                     name: child.name,
                     label: child.label,
                     category: cat.label,
-                    categoryName: cat.name
+                    categoryName: cat.name,
+                    orgSpecific: !!child.orgSpecific
                 });
             }
         }
@@ -58,135 +86,197 @@ export function listComponents(platform, category = null) {
 }
 
 /**
- * Find a specific component by name
+ * Resolve a component name, tolerating typos, partial names and synonyms
  * @param {string} platform - 'web' or 'native'
- * @param {string} componentName - Component slug name (e.g., 'button', 'checkbox')
- * @returns {Object|null} Component object or null if not found
+ * @param {string} componentName - Component name as typed (e.g., 'accordian', 'toggle')
+ * @returns {Object} { component, ambiguous, alternatives } where component is null
+ *   when nothing matched or several components matched equally well
  */
-export function findComponent(platform, componentName) {
+export function resolveComponent(platform, componentName) {
     const content = loadContent();
     const platformData = content[platform];
     
-    if (!platformData) {
-        return null;
+    if (!platformData || !componentName) {
+        return { component: null, ambiguous: false, alternatives: [] };
     }
     
-    // Normalize component name for matching
-    const normalizedName = componentName.toLowerCase().trim();
-    
+    const candidates = [];
     for (const category of platformData) {
-        if (category.children) {
-            for (const component of category.children) {
-                // Exact match on name
-                if (component.name.toLowerCase() === normalizedName) {
-                    return {
-                        ...component,
-                        category: category.label,
-                        categoryName: category.name
-                    };
-                }
-            }
+        for (const component of category.children || []) {
+            candidates.push({
+                ...component,
+                category: category.label,
+                categoryName: category.name
+            });
         }
     }
     
-    // Fallback: partial match
+    const { match, ambiguous, alternatives } = rankCandidates(componentName, candidates);
+    
+    return {
+        component: match,
+        ambiguous,
+        alternatives: alternatives.map(c => ({
+            name: c.name,
+            label: c.label,
+            category: c.category,
+            categoryName: c.categoryName,
+            score: c.score
+        }))
+    };
+}
+
+/**
+ * Find a specific component by name
+ * Returns null when the name is unknown or ambiguous; use resolveComponent for the alternatives.
+ * @param {string} platform - 'web' or 'native'
+ * @param {string} componentName - Component slug name (e.g., 'button', 'checkbox')
+ * @returns {Object|null} Component object or null if not found
+ */
+export function findComponent(platform, componentName) {
+    return resolveComponent(platform, componentName).component;
+}
+
+// Base URL of the published MagentaA11y site
+const SITE_URL = 'https://www.magentaa11y.com';
+
+/**
+ * Published MagentaA11y page for a component
+ * @param {string} platform - 'web' or 'native'
+ * @param {Object} component - Component with name and categoryName
+ * @returns {string} e.g. 'https://www.magentaa11y.com/#/web-criteria/component/button'
+ */
+export function getComponentUrl(platform, component) {
+    return `${SITE_URL}/#/${platform}-criteria/${component.categoryName}/${component.name}`;
+}
+
+/**
+ * Fields to search with weights
+ */
+const SEARCH_FIELDS = [
+    { field: 'label', weight: 10 },
+    { field: 'name', weight: 10 },
+    { field: 'generalNotes', weight: 5 },
+    { field: 'gherkin', weight: 3 },
+    { field: 'condensed', weight: 3 },
+    { field: 'developerNotes', weight: 2 },
+    { field: 'androidDeveloperNotes', weight: 2 },
+    { field: 'iosDeveloperNotes', weight: 2 }
+];
+
+/**
+ * Get (building once) the full-text search index for a platform
+ * Indexes are kept per platform in the content state, built on first search.
+ * @param {string} platform - 'web', 'native' or 'how-to-test'
+ * @param {Object} [state] - Content state to index (defaults to the current one)
+ * @returns {Object|null} Search index or null if the platform doesn't exist
+ */
+function getSearchIndex(platform, state = contentState) {
+    if (state.searchIndexes.has(platform)) {
+        return state.searchIndexes.get(platform);
+    }
+    
+    const platformData = state.content[platform];
+    
+    if (!platformData) {
+        return null;
+    }
+    
+    const documents = [];
     for (const category of platformData) {
-        if (category.children) {
-            for (const component of category.children) {
-                if (component.name.toLowerCase().includes(normalizedName) ||
-                    component.label.toLowerCase().includes(normalizedName)) {
-                    return {
-                        ...component,
-                        category: category.label,
-                        categoryName: category.name
-                    };
-                }
-            }
+        for (const component of category.children || []) {
+            documents.push({
+                ...component,
+                category: category.label,
+                categoryName: category.name
+            });
         }
     }
     
-    return null;
+    const index = buildSearchIndex(documents, SEARCH_FIELDS);
+    state.searchIndexes.set(platform, index);
+    return index;
 }
 
 /**
  * Search components by keyword across text fields
+ * Words are ANDed, `OR` separates alternatives and "quoted text" matches a phrase.
+ * Results are ranked with BM25 using the SEARCH_FIELDS weights.
  * @param {string} platform - 'web' or 'native'
- * @param {string} query - Search term
+ * @param {string} query - Search query
  * @param {number} [maxResults=10] - Maximum results to return
- * @returns {Array} Matching components with relevance scores
+ * @returns {Array} Matching components with relevance scores, a highlighted snippet and
+ *   the sources of the matched sections
  */
 export function searchComponents(platform, query, maxResults = 10) {
-    const content = loadContent();
-    const platformData = content[platform];
+    const index = getSearchIndex(platform);
     
-    if (!platformData || !query) {
+    if (!index || !query) {
         return [];
     }
     
-    const normalizedQuery = query.toLowerCase().trim();
-    const results = [];
-    
-    // Fields to search with weights
-    const searchFields = [
-        { field: 'label', weight: 10 },
-        { field: 'name', weight: 10 },
-        { field: 'generalNotes', weight: 5 },
-        { field: 'gherkin', weight: 3 },
-        { field: 'condensed', weight: 3 },
-        { field: 'developerNotes', weight: 2 },
-        { field: 'androidDeveloperNotes', weight: 2 },
-        { field: 'iosDeveloperNotes', weight: 2 }
-    ];
-    
-    for (const category of platformData) {
-        if (category.children) {
-            for (const component of category.children) {
-                let score = 0;
-                const matches = [];
-                
-                for (const { field, weight } of searchFields) {
-                    const value = component[field];
-                    if (value && typeof value === 'string') {
-                        const lowerValue = value.toLowerCase();
-                        if (lowerValue.includes(normalizedQuery)) {
-                            score += weight;
-                            // Count occurrences for better ranking
-                            const occurrences = (lowerValue.match(new RegExp(normalizedQuery, 'g')) || []).length;
-                            score += occurrences - 1; // Bonus for multiple matches
-                            matches.push(field);
-                        }
-                    }
-                }
-                
-                if (score > 0) {
-                    results.push({
-                        name: component.name,
-                        label: component.label,
-                        category: category.label,
-                        categoryName: category.name,
-                        score,
-                        matchedFields: matches,
-                        generalNotes: component.generalNotes
-                    });
-                }
-            }
-        }
-    }
+    const hits = querySearchIndex(index, query);
     
     // Sort by score descending, then by name
-    results.sort((a, b) => {
+    hits.sort((a, b) => {
         if (b.score !== a.score) return b.score - a.score;
-        return a.name.localeCompare(b.name);
+        return index.documents[a.docId].name.localeCompare(index.documents[b.docId].name);
     });
     
-    return results.slice(0, maxResults);
+    return hits.slice(0, maxResults).map(hit => {
+        const component = index.documents[hit.docId];
+        
+        // Snippet from the first matched text field, skipping the name/label
+        let snippet = null;
+        for (const field of hit.matchedFields) {
+            if (field === 'name' || field === 'label') continue;
+            snippet = buildSnippet(component[field], hit.terms, hit.phrases);
+            if (snippet) break;
+        }
+        
+        return {
+            name: component.name,
+            label: component.label,
+            category: component.category,
+            categoryName: component.categoryName,
+            score: Math.round(hit.score * 100) / 100,
+            matchedFields: hit.matchedFields,
+            snippet: snippet || component.generalNotes || null,
+            orgSpecific: !!component.orgSpecific,
+            sources: componentSources(component, hit.matchedFields.filter(field => field !== 'name' && field !== 'label'))
+        };
+    });
+}
+
+// Content fields reported by listComponentFormats, in display order
+const FORMAT_FIELDS = [
+    'gherkin',
+    'condensed',
+    'developerNotes',
+    'androidDeveloperNotes',
+    'iosDeveloperNotes',
+    'videos',
+    'generalNotes'
+];
+
+// Rough characters per token for English markdown, used for size estimates
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate how many tokens a text of the given length uses
+ * @param {number} chars - Length in characters
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(chars) {
+    return Math.ceil(chars / CHARS_PER_TOKEN);
 }
 
 /**
  * List available content formats for a component
  * @param {string} platform - 'web' or 'native'
  * @param {string} componentName - Component slug name
- * @returns {Object} Object with available format flags
+ * @returns {Object} Object with available format flags, their sizes in characters and
+ *   where each available format came from
  */
 export function listComponentFormats(platform, componentName) {
     const component = findComponent(platform, componentName);
@@ -199,15 +289,10 @@ export function listComponentFormats(platform, componentName) {
         name: component.name,
         label: component.label,
         category: component.category,
-        formats: {
-            gherkin: !!component.gherkin,
-            condensed: !!component.condensed,
-            developerNotes: !!component.developerNotes,
-            androidDeveloperNotes: !!component.androidDeveloperNotes,
-            iosDeveloperNotes: !!component.iosDeveloperNotes,
-            videos: !!component.videos,
-            generalNotes: !!component.generalNotes
-        }
+        orgSpecific: !!component.orgSpecific,
+        formats: Object.fromEntries(FORMAT_FIELDS.map(field => [field, !!component[field]])),
+        sizes: Object.fromEntries(FORMAT_FIELDS.map(field => [field, (component[field] || '').length])),
+        sources: componentSources(component, FORMAT_FIELDS)
     };
 }
 
@@ -250,6 +335,9 @@ export function formatComponentOutput(component, includeCodeExamples = true) {
         output.iosDeveloperNotes = component.iosDeveloperNotes;
     }
     
+    // WCAG success criteria referenced anywhere in the component content
+    output.wcag = extractWcagCriteria(component);
+    
     return output;
 }
 
@@ -272,3 +360,1221 @@ export function listCategories(platform) {
         componentCount: cat.children ? cat.children.length : 0
     }));
 }
+
+// ============================================
+// How-to-Test Guides
+// ============================================
+
+/**
+ * Top-level content key holding the how-to-test guides
+ */
+export const TESTING_GUIDES_SECTION = 'how-to-test';
+
+/**
+ * Which testing guides apply to which components, keyed by guide name
+ * Components not listed here still get the platform-wide guides below
+ */
+const TESTING_GUIDE_COMPONENTS = {
+    'forms-&-inputs': {
+        web: [
+            'autocomplete', 'checkbox', 'date-picker', 'form', 'help-hint-error',
+            'number-input', 'password-input', 'radio-button', 'range-slider', 'search',
+            'select-dropdown', 'star-rating', 'stepper-input', 'text-input',
+            'textarea-multiline-input', 'toggle-switch'
+        ],
+        native: [
+            'calendar-date-picker', 'captcha', 'checkbox', 'date-time-picker', 'dropdown',
+            'field-errors', 'radio-button', 'search', 'segmented-control', 'slider',
+            'stepper', 'text-input', 'time-picker', 'toggle-switch'
+        ]
+    },
+    'images': {
+        web: ['carousel-slideshow', 'complex-graphics', 'decorative-image', 'figure', 'informative-image'],
+        native: ['carousel', 'graphics-visual-elements', 'image-decorative', 'loading-icon']
+    },
+    'links-&-buttons': {
+        web: ['breadcrumbs', 'button', 'link', 'pagination-nav', 'skip-link', 'toggle-switch'],
+        native: ['button', 'chip', 'link', 'pagination-control', 'table-row-button', 'toggle-switch']
+    },
+    'color-contrast': {
+        web: [
+            'alert-notification', 'button', 'complex-graphics', 'help-hint-error', 'link',
+            'progress-indicator', 'star-rating', 'strikethrough-content', 'text-input', 'toggle-switch'
+        ],
+        native: ['button', 'field-errors', 'focus', 'graphics-visual-elements', 'progress-indicator', 'strike-through']
+    },
+    'keyboard-&-focus': {
+        web: [
+            'autocomplete', 'button', 'carousel-slideshow', 'checkbox', 'date-picker',
+            'expander-accordion', 'form', 'iframe', 'link', 'modal-dialog', 'number-input',
+            'pagination-nav', 'password-input', 'radio-button', 'range-slider',
+            'scrolling-container', 'search', 'select-dropdown', 'single-page-application',
+            'skip-link', 'star-rating', 'stepper-input', 'tabs', 'text-input',
+            'textarea-multiline-input', 'toggle-switch', 'tooltip', 'video-audio-player'
+        ],
+        native: ['focus']
+    }
+};
+
+/**
+ * Guides that apply to every component on a platform
+ */
+const PLATFORM_TESTING_GUIDES = {
+    web: ['web-screen-readers'],
+    native: ['native-apps']
+};
+
+/**
+ * Get all how-to-test guides
+ * @returns {Array} List of guide objects with name, label and summary
+ */
+export function listTestingGuides() {
+    const content = loadContent();
+    const guideData = content[TESTING_GUIDES_SECTION];
+    
+    if (!guideData) {
+        return [];
+    }
+    
+    const guides = [];
+    
+    for (const cat of guideData) {
+        if (cat.children) {
+            for (const child of cat.children) {
+                guides.push({
+                    name: child.name,
+                    label: child.label,
+                    summary: child.generalNotes || null
+                });
+            }
+        }
+    }
+    
+    return guides;
+}
+
+/**
+ * Find a how-to-test guide by name
+ * @param {string} guideName - Guide slug (e.g., 'keyboard-&-focus', 'color contrast')
+ * @returns {Object|null} Guide object or null if not found
+ */
+export function findTestingGuide(guideName) {
+    return findComponent(TESTING_GUIDES_SECTION, guideName);
+}
+
+/**
+ * Search how-to-test guides by keyword
+ * @param {string} query - Search term
+ * @param {number} [maxResults=10] - Maximum results to return
+ * @returns {Array} Matching guides with relevance scores
+ */
+export function searchTestingGuides(query, maxResults = 10) {
+    return searchComponents(TESTING_GUIDES_SECTION, query, maxResults);
+}
+
+/**
+ * Get the how-to-test guides that apply to a component
+ * @param {string} platform - 'web' or 'native'
+ * @param {string} componentName - Component slug name
+ * @returns {Array} List of guide objects with name and label
+ */
+export function getRelatedTestingGuides(platform, componentName) {
+    const names = [];
+    
+    for (const [guide, platforms] of Object.entries(TESTING_GUIDE_COMPONENTS)) {
+        if (platforms[platform] && platforms[platform].includes(componentName)) {
+            names.push(guide);
+        }
+    }
+    names.push(...(PLATFORM_TESTING_GUIDES[platform] || []));
+    
+    const guides = listTestingGuides();
+    return names
+        .map(name => guides.find(g => g.name === name))
+        .filter(Boolean)
+        .map(g => ({ name: g.name, label: g.label }));
+}
+
+// ============================================
+// WCAG Success Criteria
+// ============================================
+
+/**
+ * Platforms whose components are included in the WCAG index
+ */
+const WCAG_INDEX_PLATFORMS = ['web', 'native'];
+
+/**
+ * Component fields scanned for WCAG references
+ */
+const WCAG_SOURCE_FIELDS = [
+    'generalNotes',
+    'gherkin',
+    'condensed',
+    'developerNotes',
+    'androidDeveloperNotes',
+    'iosDeveloperNotes'
+];
+
+/**
+ * Acceptance-criteria phrases that imply a success criterion even when the
+ * number is not cited. Only the gherkin and condensed fields are scanned.
+ */
+const WCAG_IMPLIED_PATTERNS = [
+    { number: '2.4.7', pattern: /focus (is )?(strongly )?visually indicated|focus (visibly moves|moves visibly)/i },
+    { number: '2.1.1', pattern: /\b(tab|arrow|enter|spacebar|escape) key/i },
+    { number: '4.1.2', pattern: /identifies (its|itself|it's)( role| as)/i },
+    { number: '1.1.1', pattern: /\balt(ernative)? text\b/i }
+];
+
+// Success criteria keyed by number (e.g., '2.4.7')
+const wcagByNumber = new Map(wcagReference.map(sc => [sc.number, sc]));
+
+/**
+ * Find the WCAG success criteria referenced in a component's content
+ * Only numbers present in the bundled WCAG 2.2 reference are kept, so
+ * version strings and URL fragments (e.g., 'rb-4.0.3') are ignored.
+ * Criteria matched only through WCAG_IMPLIED_PATTERNS are flagged `inferred`.
+ * @param {Object} component - Component object
+ * @returns {Array} Success criteria sorted by number, each with the fields it appears in
+ */
+export function extractWcagCriteria(component) {
+    if (!component) return [];
+    
+    const found = new Map();
+    const pattern = /(?<![\w.\-])([1-4]\.\d{1,2}\.\d{1,2})(?![\w.]*\d)/g;
+    
+    for (const field of WCAG_SOURCE_FIELDS) {
+        const value = component[field];
+        if (!value || typeof value !== 'string') continue;
+        
+        for (const match of value.matchAll(pattern)) {
+            const sc = wcagByNumber.get(match[1]);
+            if (!sc) continue;
+            
+            if (!found.has(sc.number)) {
+                found.set(sc.number, { ...sc, fields: [], inferred: false });
+            }
+            const entry = found.get(sc.number);
+            if (!entry.fields.includes(field)) {
+                entry.fields.push(field);
+            }
+        }
+    }
+    
+    for (const { number, pattern } of WCAG_IMPLIED_PATTERNS) {
+        for (const field of ['gherkin', 'condensed']) {
+            const value = component[field];
+            if (!value || typeof value !== 'string' || !pattern.test(value)) continue;
+            
+            if (!found.has(number)) {
+                found.set(number, { ...wcagByNumber.get(number), fields: [], inferred: true });
+            }
+            const entry = found.get(number);
+            if (!entry.fields.includes(field)) {
+                entry.fields.push(field);
+            }
+        }
+    }
+    
+    return [...found.values()].sort((a, b) => compareWcagNumbers(a.number, b.number));
+}
+
+/**
+ * Compare two success criterion numbers numerically (so 1.4.10 sorts after 1.4.9)
+ */
+function compareWcagNumbers(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+        if (pa[i] !== pb[i]) return pa[i] - pb[i];
+    }
+    return 0;
+}
+
+/**
+ * Build (once) the index of success criterion number -> components referencing it
+ * @param {Object} [state] - Content state to index (defaults to the current one)
+ * @returns {Map} Map of number to array of component references
+ */
+function getWcagIndex(state = contentState) {
+    if (state.wcagIndex) {
+        return state.wcagIndex;
+    }
+    
+    const content = state.content;
+    const index = new Map();
+    
+    for (const platform of WCAG_INDEX_PLATFORMS) {
+        for (const cat of content[platform] || []) {
+            for (const component of cat.children || []) {
+                for (const sc of extractWcagCriteria(component)) {
+                    if (!index.has(sc.number)) {
+                        index.set(sc.number, []);
+                    }
+                    index.get(sc.number).push({
+                        platform,
+                        name: component.name,
+                        label: component.label,
+                        category: cat.label,
+                        categoryName: cat.name,
+                        fields: sc.fields,
+                        inferred: sc.inferred
+                    });
+                }
+            }
+        }
+    }
+    
+    state.wcagIndex = index;
+    return index;
+}
+
+/**
+ * List WCAG 2.2 success criteria from the bundled reference
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.level] - 'A', 'AA' or 'AAA'
+ * @param {string} [filters.version] - WCAG version the criterion was introduced in ('2.0', '2.1', '2.2')
+ * @param {boolean} [filters.referencedOnly=false] - Only criteria referenced by at least one component
+ * @returns {Array} Success criteria with a componentCount
+ */
+export function listWcagCriteria({ level = null, version = null, referencedOnly = false } = {}) {
+    const index = getWcagIndex();
+    
+    return wcagReference
+        .filter(sc => !level || sc.level === level.toUpperCase())
+        .filter(sc => !version || sc.version === version)
+        .map(sc => ({ ...sc, componentCount: (index.get(sc.number) || []).length }))
+        .filter(sc => !referencedOnly || sc.componentCount > 0);
+}
+
+/**
+ * Find a WCAG success criterion by number or name
+ * @param {string} criterion - e.g., '2.4.7', 'SC 2.4.7', 'Focus Visible'
+ * @returns {Object|null} Success criterion or null if not found
+ */
+export function findWcagCriterion(criterion) {
+    if (!criterion) return null;
+    
+    const numberMatch = criterion.match(/\b([1-4]\.\d{1,2}\.\d{1,2})\b/);
+    if (numberMatch) {
+        return wcagByNumber.get(numberMatch[1]) || null;
+    }
+    
+    const normalized = criterion.toLowerCase().trim();
+    return wcagReference.find(sc => sc.name.toLowerCase() === normalized) ||
+        wcagReference.find(sc => sc.name.toLowerCase().includes(normalized)) ||
+        null;
+}
+
+/**
+ * Get the components whose content references a WCAG success criterion
+ * @param {string} criterion - Success criterion number or name
+ * @param {string} [platform] - Optional platform filter ('web' or 'native')
+ * @returns {Object|null} { criterion, components } or null if the criterion is unknown
+ */
+export function getComponentsForWcag(criterion, platform = null) {
+    const sc = findWcagCriterion(criterion);
+    
+    if (!sc) {
+        return null;
+    }
+    
+    const components = (getWcagIndex().get(sc.number) || [])
+        .filter(c => !platform || c.platform === platform);
+    
+    return { criterion: sc, components };
+}
+
+// ============================================
+// Acceptance Criteria Parsing
+// ============================================
+
+/**
+ * Assistive technologies recognised in acceptance criteria text
+ */
+const ASSISTIVE_TECH = [
+    { name: 'NVDA', pattern: /\bNVDA\b/i },
+    { name: 'JAWS', pattern: /\bJAWS\b/i },
+    { name: 'VoiceOver', pattern: /\bvoice\s?over\b/i },
+    { name: 'TalkBack', pattern: /\btalk\s?back\b/i },
+    { name: 'Narrator', pattern: /\bnarrator\b/i }
+];
+
+// Canonical assistive technology names, as reported in structured criteria
+export const ASSISTIVE_TECH_NAMES = ASSISTIVE_TECH.map(at => at.name);
+
+/**
+ * Section tags derived from section titles (used for filtering and feature-file tags)
+ */
+const SECTION_TAGS = [
+    { tag: 'keyboard', pattern: /keyboard/i },
+    { tag: 'screenreader', pattern: /screen ?reader/i },
+    { tag: 'desktop', pattern: /desktop/i },
+    { tag: 'mobile', pattern: /mobile|gesture/i },
+    { tag: 'device-settings', pattern: /settings|resize/i }
+];
+
+/**
+ * Outcome keywords inside a step: "I SEE ...", "I HEAR ...", optionally after AND/THEN
+ */
+const OUTCOME_PATTERN = /^(?:(?:AND|THEN)\s+)?I (SEE|HEAR)\b\s*/i;
+
+/**
+ * Assistive technologies named in a piece of text
+ */
+function findAssistiveTech(text) {
+    return ASSISTIVE_TECH.filter(at => at.pattern.test(text)).map(at => at.name);
+}
+
+/**
+ * Split a step line into its action and inline outcomes
+ * e.g. "I use the tab key to move focus to a button I SEE focus is visible"
+ * or "I use reduced motion THEN I see animations are reduced". A leading "when"
+ * ("THEN when I doubletap ...") is dropped from the action; the step keyword covers it.
+ */
+function splitInlineOutcomes(text) {
+    const parts = text.split(/(?<!\b(?:AND|THEN)),?\s+(?=(?:(?:AND|THEN)\s+)?I (?:SEE|HEAR|see|hear)\b|THEN\s)/)
+        .filter(part => part.trim());
+    const action = parts.length && !parts[0].match(OUTCOME_PATTERN) ? parts.shift() : null;
+    const expected = parts.map(part => {
+        const match = part.match(OUTCOME_PATTERN);
+        if (match) {
+            return { kind: match[1].toLowerCase(), text: part.slice(match[0].length).trim() };
+        }
+        return { kind: 'then', text: part.replace(/^THEN\s+/i, '').trim() };
+    });
+    return { action: action ? action.replace(/^(?:when\s+)+/i, '').trim() : null, expected };
+}
+
+/**
+ * Turn a nested bullet (or continuation line) into an expected outcome
+ */
+function parseOutcome(text) {
+    const seeHear = text.match(OUTCOME_PATTERN);
+    if (seeHear) {
+        return { kind: seeHear[1].toLowerCase(), text: text.slice(seeHear[0].length).trim() };
+    }
+    const keyword = text.match(/^(THEN|AND)\s+/);
+    if (keyword) {
+        return { kind: keyword[1].toLowerCase(), text: text.slice(keyword[0].length).trim() };
+    }
+    return { kind: 'note', text };
+}
+
+/**
+ * Build a step from a bullet that carries its own action and outcome,
+ * e.g. "THEN when I doubletap I HEAR ..." or "OR when I use ... I SEE ..."
+ * @returns {Object|null} Step without an id, or null if the bullet is a plain outcome
+ */
+function parseInlineStep(content) {
+    if (OUTCOME_PATTERN.test(content)) return null;
+    
+    const keyword = content.match(/^(THEN|OR|AND)\s+/i);
+    const body = keyword ? content.slice(keyword[0].length) : content;
+    const { action, expected } = splitInlineOutcomes(body);
+    
+    if (!action || expected.length === 0) return null;
+    return { keyword: keyword ? keyword[1].toUpperCase() : null, action, expected };
+}
+
+/**
+ * Parse gherkin or condensed acceptance-criteria markdown into a structured tree
+ *
+ * Gherkin steps look like `* WHEN I ... I SEE ...` with nested `* I HEAR ...` /
+ * `* THEN ...` bullets; condensed steps look like `* Tab: Focus visibly moves`.
+ * Both become { id, keyword, action, expected: [{ kind, text }] } where kind is
+ * see, hear, then, and, result or note.
+ *
+ * @param {string} markdown - The gherkin or condensed field
+ * @param {string} [type='gherkin'] - 'gherkin' or 'condensed'
+ * @returns {Object|null} { type, title, summary, given, sections, assistiveTech, fullInformation }
+ */
+export function parseAcceptanceCriteria(markdown, type = 'gherkin') {
+    if (!markdown) return null;
+    
+    const tree = {
+        type,
+        title: null,
+        summary: null,
+        given: null,
+        sections: [],
+        assistiveTech: [],
+        fullInformation: null
+    };
+    
+    const text = markdown.replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '');
+    let section = null;
+    let step = null;
+    
+    for (const rawLine of text.split('\n')) {
+        // Trailing backslashes are markdown hard line breaks
+        const line = rawLine.trim().replace(/\\$/, '').trim();
+        if (!line) continue;
+        const indent = rawLine.length - rawLine.trimStart().length;
+        
+        const heading = line.match(/^#+\s+(.*)$/);
+        if (heading && !section) {
+            tree.title = heading[1].replace(/^#a11y\s*-\s*/, '#a11y - ').trim();
+            continue;
+        }
+        
+        const fullInfo = line.match(/^Full information:\s*(?:\[([^\]]+)\]|<([^>]+)>)/i);
+        if (fullInfo) {
+            tree.fullInformation = (fullInfo[1] || fullInfo[2]).trim();
+            continue;
+        }
+        
+        const given = line.match(/^GIVEN( THAT)?\s+(.*)$/);
+        if (given && !section) {
+            tree.given = given[2].trim();
+            continue;
+        }
+        
+        const numbered = line.match(/^(\d+)\.\s+(.*)$/);
+        if (numbered && indent === 0) {
+            const title = numbered[2].replace(/^Scenario:\s*/i, '').trim();
+            section = {
+                number: Number(numbered[1]),
+                title,
+                tags: SECTION_TAGS.filter(t => t.pattern.test(title)).map(t => t.tag),
+                assistiveTech: findAssistiveTech(title),
+                steps: []
+            };
+            tree.sections.push(section);
+            step = null;
+            continue;
+        }
+        
+        if (!section) {
+            if (!tree.summary) tree.summary = line;
+            continue;
+        }
+        
+        const bullet = line.match(/^(?:[*-]\s+)+(.*)$/);
+        const content = bullet ? bullet[1].trim() : line;
+        const isTopLevel = bullet && indent <= 3;
+        
+        if (isTopLevel) {
+            const keyword = content.match(/^(WHEN|THEN|AND|GIVEN|OR)\b\s*/);
+            const body = keyword ? content.slice(keyword[0].length) : content;
+            
+            // "* WHEN I use a screenreader AND" continued by "* I use the tab key ..."
+            // or "* WHEN I use a screenreader" continued by "* AND use the arrow keys"
+            const continuesAction = step && step.expected.length === 0 &&
+                ((!keyword && /\bAND$/.test(step.action || '')) ||
+                 (keyword && keyword[1] === 'AND' && !/^WHEN\b/.test(body)));
+            if (continuesAction) {
+                const { action, expected } = splitInlineOutcomes(body);
+                const joiner = /\bAND$/.test(step.action || '') ? '' : ' AND';
+                step.action = `${step.action || ''}${joiner} ${action || ''}`.trim();
+                step.expected.push(...expected);
+                continue;
+            }
+            
+            // Outcome bullets at step level ("* I SEE focus is visible") and, in gherkin,
+            // qualifiers such as "* EXCEPT FOR ..." belong to the previous step
+            if (step && !keyword && (OUTCOME_PATTERN.test(body) || type === 'gherkin') && !parseInlineStep(body)) {
+                step.expected.push(parseOutcome(body));
+                continue;
+            }
+            
+            step = {
+                id: `${section.number}.${section.steps.length + 1}`,
+                keyword: keyword ? keyword[1] : null,
+                action: null,
+                expected: []
+            };
+            
+            const condensed = type === 'condensed' && body.match(/^([^:]{1,120}):\s+(.*)$/);
+            if (condensed) {
+                step.action = condensed[1].trim();
+                step.expected.push({ kind: 'result', text: condensed[2].trim() });
+            } else {
+                const { action, expected } = splitInlineOutcomes(body);
+                step.action = action;
+                step.expected.push(...expected);
+            }
+            section.steps.push(step);
+            continue;
+        }
+        
+        if (step) {
+            // Nested "* THEN when I ... I HEAR ..." is a step of its own
+            const inline = parseInlineStep(content);
+            if (inline) {
+                step = { id: `${section.number}.${section.steps.length + 1}`, ...inline };
+                section.steps.push(step);
+                continue;
+            }
+            
+            const outcome = parseOutcome(content);
+            // Unbulleted wrap of the previous line ("moves to the next slide on iOS")
+            if (!bullet && outcome.kind === 'note') {
+                const last = step.expected[step.expected.length - 1];
+                if (last) {
+                    last.text = `${last.text} ${content}`;
+                } else {
+                    step.action = `${step.action || ''} ${content}`.trim();
+                }
+                continue;
+            }
+            // "AND I use the tab key ..." extends the action rather than being an outcome
+            if (outcome.kind === 'and' && /^I (use|swipe|press|navigate)\b/.test(outcome.text) && step.expected.length === 0) {
+                step.action = `${step.action || ''} AND ${outcome.text}`.trim();
+                continue;
+            }
+            step.expected.push(outcome);
+        }
+    }
+    
+    for (const s of tree.sections) {
+        const stepText = s.steps.map(st => [st.action, ...st.expected.map(e => e.text)].join(' ')).join(' ');
+        s.assistiveTech = [...new Set([...s.assistiveTech, ...findAssistiveTech(stepText)])];
+    }
+    tree.assistiveTech = [...new Set(tree.sections.flatMap(s => s.assistiveTech))];
+    
+    return tree;
+}
+
+/**
+ * Get a component's gherkin or condensed criteria as a structured tree
+ * @param {string} platform - 'web' or 'native'
+ * @param {string} componentName - Component slug name
+ * @param {string} [format='gherkin'] - 'gherkin' or 'condensed'
+ * @returns {Object|null} Parsed criteria with component name/label, or null if unavailable
+ */
+export function getStructuredCriteria(platform, componentName, format = 'gherkin') {
+    const component = findComponent(platform, componentName);
+    
+    if (!component || !component[format]) {
+        return null;
+    }
+    
+    return {
+        component: component.name,
+        label: component.label,
+        platform,
+        category: component.category,
+        ...parseAcceptanceCriteria(component[format], format)
+    };
+}
+
+// ============================================
+// Code Examples
+// ============================================
+
+/**
+ * Notes fields scanned for code, with the source they are reported as
+ */
+const CODE_SOURCE_FIELDS = [
+    { field: 'developerNotes', source: 'general' },
+    { field: 'iosDeveloperNotes', source: 'ios' },
+    { field: 'androidDeveloperNotes', source: 'android' }
+];
+
+/**
+ * Fence info strings mapped to a canonical language name
+ */
+const LANGUAGE_ALIASES = {
+    javascript: 'js',
+    jsx: 'js',
+    ts: 'typescript',
+    htm: 'html',
+    kt: 'kotlin',
+    swiftui: 'swift'
+};
+
+/**
+ * Canonical name for a language or fence info string ('javascript' -> 'js')
+ */
+function canonicalLanguage(name) {
+    const language = (name || '').trim().split(/\s+/)[0].toLowerCase();
+    return LANGUAGE_ALIASES[language] || language;
+}
+
+/**
+ * Canonical language for a fenced block
+ * The Android notes fence Jetpack Compose snippets as ```java, so a "java" block without
+ * semicolon-terminated statements, or with Kotlin declarations, is reported as Kotlin.
+ */
+function normalizeLanguage(info, code) {
+    const language = canonicalLanguage(info);
+    if (language === 'java' && (/^\s*(val|var|fun)\s|@Composable/m.test(code) || !/;\s*$/m.test(code))) {
+        return 'kotlin';
+    }
+    return language || 'text';
+}
+
+/**
+ * Remove the common leading indentation from a block of code
+ */
+function dedent(text) {
+    const lines = text.replace(/^\n+|\s+$/g, '').split('\n');
+    const indents = lines.filter(l => l.trim()).map(l => l.match(/^[ \t]*/)[0].length);
+    const common = indents.length ? Math.min(...indents) : 0;
+    return lines.map(l => l.slice(common)).join('\n');
+}
+
+/**
+ * Pull fenced code blocks and <example> blocks out of a component's developer notes
+ * Each example records the heading it sits under and the full heading path above it.
+ * @param {Object} component - Component object
+ * @returns {Array} Examples as { language, kind: 'code'|'example', source, heading, headingPath, code }
+ */
+export function extractCodeExamples(component) {
+    const examples = [];
+    
+    for (const { field, source } of CODE_SOURCE_FIELDS) {
+        const notes = component[field];
+        if (!notes) continue;
+        
+        const headings = [];
+        let block = null;
+        
+        const addExample = (kind, language, text) => {
+            const code = dedent(text);
+            if (!code) return;
+            examples.push({
+                language: kind === 'code' ? normalizeLanguage(language, code) : 'html',
+                kind,
+                source,
+                heading: headings.length ? headings[headings.length - 1].text : null,
+                headingPath: headings.map(h => h.text),
+                code
+            });
+        };
+        
+        for (const line of notes.replace(/\r\n/g, '\n').split('\n')) {
+            if (block && block.kind === 'code') {
+                if (/^\s*```\s*$/.test(line)) {
+                    addExample('code', block.info, block.lines.join('\n'));
+                    block = null;
+                } else {
+                    block.lines.push(line);
+                }
+                continue;
+            }
+            
+            if (block && block.kind === 'example') {
+                const end = line.search(/<\/example>/i);
+                if (end !== -1) {
+                    block.lines.push(line.slice(0, end));
+                    addExample('example', 'html', block.lines.join('\n'));
+                    block = null;
+                } else {
+                    block.lines.push(line);
+                }
+                continue;
+            }
+            
+            const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                while (headings.length && headings[headings.length - 1].level >= level) {
+                    headings.pop();
+                }
+                headings.push({ level, text: heading[2].replace(/`/g, '') });
+                continue;
+            }
+            
+            const fence = line.match(/^\s*```\s*([^`]*)$/);
+            if (fence) {
+                block = { kind: 'code', info: fence[1], lines: [] };
+                continue;
+            }
+            
+            const start = line.search(/<example>/i);
+            if (start !== -1) {
+                const rest = line.slice(start + '<example>'.length);
+                const end = rest.search(/<\/example>/i);
+                if (end !== -1) {
+                    addExample('example', 'html', rest.slice(0, end));
+                } else {
+                    block = { kind: 'example', lines: [rest] };
+                }
+            }
+        }
+    }
+    
+    return examples;
+}
+
+/**
+ * Get a component's code examples, optionally filtered
+ * @param {string} platform - 'web' or 'native'
+ * @param {string} componentName - Component name
+ * @param {Object} [filters]
+ * @param {string} [filters.language] - Language (e.g., 'html', 'css', 'js', 'swift', 'kotlin')
+ * @param {string} [filters.heading] - Words that must all appear in the heading path, language or code
+ * @param {string} [filters.contains] - Text that must appear in the code
+ * @param {boolean} [filters.includeRendered=true] - Include <example> demo markup
+ * @returns {Array|null} Matching examples, or null if the component does not exist
+ */
+export function getCodeExamples(platform, componentName, { language = null, heading = null, contains = null, includeRendered = true } = {}) {
+    const component = findComponent(platform, componentName);
+    if (!component) {
+        return null;
+    }
+    
+    const wantedLanguage = language ? canonicalLanguage(language) : null;
+    const headingWords = (heading || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    const needle = contains ? contains.toLowerCase() : null;
+    
+    return extractCodeExamples(component).filter(example => {
+        if (!includeRendered && example.kind === 'example') return false;
+        if (wantedLanguage && example.language !== wantedLanguage) return false;
+        if (headingWords.length > 0) {
+            // Queries mix heading and code terms ("aria-disabled button html"), so a word may match either
+            const text = `${example.headingPath.join(' ')} ${example.language} ${example.code}`.toLowerCase();
+            if (!headingWords.every(word => text.includes(word))) return false;
+        }
+        if (needle && !example.code.toLowerCase().includes(needle)) return false;
+        return true;
+    });
+}
+
+// ============================================
+// Content Rendering
+// ============================================
+
+/**
+ * Formats renderContent can produce
+ */
+export const RENDER_FORMATS = ['markdown', 'text', 'html'];
+
+// Fenced code blocks, left untouched when cleaning up embedded markup
+const FENCED_BLOCK = /^[ \t]*```[^\n]*\n[\s\S]*?^[ \t]*```[ \t]*$/gm;
+
+const LIST_ITEM = /^(\s*)([*+-]|\d+[.)])\s+(.*)$/;
+const HORIZONTAL_RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const FENCE = /^(\s*)```\s*([^`]*)$/;
+
+/**
+ * Absolute magentaa11y.com URL for a link or src in the content
+ * Media paths ('media/video/...') are files on the site; other site paths
+ * ('/web-criteria/component/button') are routes of its single-page app.
+ */
+function absoluteUrl(href) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+        return href;
+    }
+    const path = href.replace(/^#?\.?\/+/, '');
+    if (/^(media|assets)\//.test(path)) {
+        return `${SITE_URL}/${path}`;
+    }
+    return `${SITE_URL}/#/${path}`;
+}
+
+/**
+ * Apply a transform to the text outside fenced code blocks
+ */
+function mapOutsideFences(text, transform) {
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(FENCED_BLOCK)) {
+        result += transform(text.slice(last, match.index)) + match[0];
+        last = match.index + match[0].length;
+    }
+    return result + transform(text.slice(last));
+}
+
+/**
+ * Markdown links to the files of a <video> block
+ */
+function videoLinks(markup) {
+    return [...markup.matchAll(/\bsrc="([^"]+)"/gi)]
+        .map(([, src]) => `[Video: ${src.split('/').pop()}](${absoluteUrl(src)})`)
+        .join('\n');
+}
+
+/**
+ * Replace the site-relative HTML embedded in the content with markdown links
+ *   <video><source src="media/video/..."></video>  ->  [Video: file.webm](https://www.magentaa11y.com/media/video/...)
+ *   <example>...</example>                         ->  [Live example on magentaa11y.com](page URL)
+ *   <a href="...">text</a>                          ->  [text](absolute URL)
+ *   [text](/web-criteria/...)                       ->  [text](https://www.magentaa11y.com/#/web-criteria/...)
+ */
+function cleanMarkup(text, pageUrl) {
+    return text
+        .replace(/<video(?=[\s>])[^>]*>[\s\S]*?<\/video>/gi, markup => videoLinks(markup))
+        .replace(/<example(?=[\s>])[^>]*>[\s\S]*?<\/example>/gi, () => `[Live example on magentaa11y.com](${pageUrl || SITE_URL})`)
+        .replace(/<a\s[^>]*?href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) =>
+            `[${label.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()}](${absoluteUrl(href)})`)
+        .replace(/<\/?u>/gi, '')
+        .replace(/\]\((\/[^)\s]*)\)/g, (match, href) => `](${absoluteUrl(href)})`);
+}
+
+/**
+ * Number of leading whitespace characters in a line
+ */
+function leadingSpaces(line) {
+    return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Whether a line starts a block that ends the paragraph before it
+ */
+function startsBlock(line) {
+    return HEADING.test(line) || FENCE.test(line) || HORIZONTAL_RULE.test(line) || LIST_ITEM.test(line) || /^\s*[|>]/.test(line);
+}
+
+/**
+ * Cells of a markdown table row
+ */
+function tableCells(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parse a list starting at lines[start]; items are indented under their marker
+ * @returns {Object} { block, end } - List block and the index of the first line after it
+ */
+function parseList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const list = { type: 'list', ordered: /\d/.test(first[2]), start: parseInt(first[2], 10) || 1, items: [] };
+    let i = start;
+
+    while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM);
+        const markerWidth = item[0].length - item[3].length;
+        const body = [item[3]];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                // A blank line continues the item only if the next text is indented under it
+                let next = i + 1;
+                while (next < lines.length && !lines[next].trim()) next++;
+                if (next < lines.length && leadingSpaces(lines[next]) >= indent + 2) {
+                    body.push(...lines.slice(i, next).map(() => ''));
+                    i = next;
+                    continue;
+                }
+                break;
+            }
+            const spaces = leadingSpaces(line);
+            if (spaces >= indent + 2) {
+                body.push(line.slice(Math.min(spaces, markerWidth)));
+            } else if (lines[i - 1].trim() && !startsBlock(line)) {
+                // Lazy continuation of the item's paragraph
+                body.push(line.trim());
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        list.items.push(parseBlocks(body));
+
+        let next = i;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const sibling = next < lines.length && lines[next].match(LIST_ITEM);
+        if (!sibling || sibling[1].length < indent || sibling[1].length >= indent + 2) break;
+        i = next;
+    }
+
+    return { block: list, end: i };
+}
+
+/**
+ * Parse markdown lines into blocks: heading, code, rule, table, quote, list and paragraph
+ */
+function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            blocks.push({ type: 'code', language: fence[2].trim().split(/\s+/)[0], code: dedent(code.join('\n')) });
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+            continue;
+        }
+
+        if (HORIZONTAL_RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (/^\s*[|>]/.test(line)) {
+            const marker = line.trim()[0];
+            const group = [];
+            while (i < lines.length && lines[i].trim().startsWith(marker)) {
+                group.push(lines[i]);
+                i++;
+            }
+            if (marker === '>') {
+                blocks.push({ type: 'quote', blocks: parseBlocks(group.map(l => l.replace(/^\s*>\s?/, ''))) });
+            } else {
+                const rows = group.map(tableCells);
+                const isSeparator = row => row.every(cell => /^:?-+:?$/.test(cell));
+                blocks.push({
+                    type: 'table',
+                    header: rows.length > 1 && isSeparator(rows[1]),
+                    rows: rows.filter(row => !isSeparator(row))
+                });
+            }
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const { block, end } = parseList(lines, i);
+            blocks.push(block);
+            i = end;
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    }
+
+    return blocks;
+}
+
+/**
+ * Strip inline markdown: `code`, **bold**, *emphasis*, [text](url) -> "text (url)"
+ */
+function inlineText(text) {
+    return text
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/\[([^\]]*)\]\(([^)\s]+)\)/g, (match, label, url) => (!label || label === url ? url : `${label} (${url})`))
+        .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)/g, '$1$2');
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert inline markdown to HTML; raw HTML in the text is escaped
+ */
+function inlineHtml(text) {
+    // Code spans are set aside first so their contents aren't read as markdown
+    const spans = [];
+    const html = escapeHtml(text.replace(/`([^`]*)`/g, (match, code) => `\u0000${spans.push(code) - 1}\u0000`))
+        .replace(/\[([^\]]*)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, '<a href="$1">$1</a>')
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)/g, '$1<em>$2</em>');
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${escapeHtml(spans[index])}</code>`);
+}
+
+/**
+ * Render parsed blocks as plain text; the blocks of a list item are kept on consecutive lines
+ */
+function renderText(blocks, separator = '\n\n') {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+            case 'paragraph':
+                return inlineText(block.text);
+            case 'code':
+                return block.code.replace(/^/gm, '    ');
+            case 'rule':
+                return '';
+            case 'table':
+                return block.rows.map(row => row.map(inlineText).join(' | ')).join('\n');
+            case 'quote':
+                return renderText(block.blocks);
+            case 'list':
+                return block.items.map((item, index) => {
+                    const marker = block.ordered ? `${block.start + index}. ` : '- ';
+                    const pad = ' '.repeat(marker.length);
+                    return marker + renderText(item, '\n').split('\n').map((line, i) => (i && line ? pad + line : line)).join('\n');
+                }).join('\n');
+        }
+    }).filter(Boolean).join(separator);
+}
+
+/**
+ * Render parsed blocks as an HTML fragment
+ */
+function renderHtml(blocks) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${inlineHtml(block.text)}</h${block.level}>`;
+            case 'paragraph':
+                // Lines of a paragraph are separate fields ("**Category:** ..."), so keep the breaks
+                return `<p>${inlineHtml(block.text).replace(/\n/g, '<br>\n')}</p>`;
+            case 'code': {
+                const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+                return `<pre><code${language}>${escapeHtml(block.code)}</code></pre>`;
+            }
+            case 'rule':
+                return '<hr>';
+            case 'table': {
+                const row = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${inlineHtml(cell)}</${tag}>`).join('')}</tr>`;
+                const [head, ...body] = block.header ? block.rows : [null, ...block.rows];
+                const thead = head ? `<thead>${row(head, 'th')}</thead>` : '';
+                return `<table>${thead}<tbody>${body.map(cells => row(cells, 'td')).join('')}</tbody></table>`;
+            }
+            case 'quote':
+                return `<blockquote>\n${renderHtml(block.blocks)}\n</blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const items = block.items.map(([first, ...rest]) => {
+                    // Tight items keep their first paragraph inline
+                    const lead = first?.type === 'paragraph' ? inlineHtml(first.text) : renderHtml(first ? [first] : []);
+                    return `<li>${lead}${rest.length ? `\n${renderHtml(rest)}\n` : ''}</li>`;
+                });
+                return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+            }
+        }
+    }).join('\n');
+}
+
+/**
+ * Render MagentaA11y content for output
+ * Embedded <video> and <example> markup, whose paths are relative to magentaa11y.com, becomes
+ * links to the site, and relative links (/web-criteria/...) become absolute URLs. Fenced code
+ * is left as is. The cleaned markdown can then be converted to plain text or HTML.
+ * @param {string} markdown - Content field or tool output
+ * @param {Object} [options]
+ * @param {string} [options.format='markdown'] - One of RENDER_FORMATS
+ * @param {string} [options.pageUrl] - Page live examples link to (default: the site home page)
+ * @returns {string} Rendered content (null/empty input is returned unchanged)
+ */
+export function renderContent(markdown, { format = 'markdown', pageUrl = null } = {}) {
+    if (!RENDER_FORMATS.includes(format)) {
+        throw new Error(`Unknown render format: ${format}`);
+    }
+    if (!markdown) {
+        return markdown;
+    }
+
+    const cleaned = mapOutsideFences(markdown.replace(/\r\n/g, '\n'), text => cleanMarkup(text, pageUrl));
+    if (format === 'text') {
+        return renderText(parseBlocks(cleaned.split('\n')));
+    }
+    if (format === 'html') {
+        return renderHtml(parseBlocks(cleaned.split('\n')));
+    }
+    return cleaned;
+}
+
+// ============================================
+// Demo Videos
+// ============================================
+
+/**
+ * Operating systems named in the video headings ("Windows NVDA Chrome", "iOS VoiceOver")
+ * The content has the "Andriod" misspelling in a few places.
+ */
+const VIDEO_OS = [
+    { name: 'Android', pattern: /\band(?:roid|riod)\b/i },
+    { name: 'iOS', pattern: /\bios\b/i },
+    { name: 'Windows', pattern: /\bwindows\b/i },
+    { name: 'macOS', pattern: /\bmac\s?os\b/i }
+];
+
+/**
+ * Browsers named in the video headings
+ */
+const VIDEO_BROWSERS = ['Chrome', 'Safari', 'Firefox', 'Edge'];
+
+/**
+ * Value of an HTML attribute in a tag, or null
+ */
+function attributeValue(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+}
+
+/**
+ * Parse a videos field into one entry per recording
+ * Each <video> sits under a heading naming the OS, screen reader and, on desktop, the
+ * browser ("### Windows NVDA Chrome").
+ * @param {string} videos - Videos field (markdown headings with <video> blocks)
+ * @returns {Array} Videos as { heading, screenReader, os, browser, fileType, mimeType, file, url }
+ */
+export function parseVideos(videos) {
+    const entries = [];
+    let heading = null;
+
+    for (const match of (videos || '').matchAll(/^#{1,6}\s+(.+?)\s*$|<video(?=[\s>])([^>]*)>([\s\S]*?)<\/video>/gim)) {
+        if (match[1] !== undefined) {
+            heading = match[1];
+            continue;
+        }
+
+        const sources = [`<video${match[2]}>`, ...(match[3].match(/<source\b[^>]*>/gi) || [])]
+            .map(tag => ({ src: attributeValue(tag, 'src'), type: attributeValue(tag, 'type') }))
+            .filter(source => source.src);
+
+        for (const { src, type } of sources) {
+            const file = src.split('/').pop();
+            const extension = file.includes('.') ? file.split('.').pop().toLowerCase() : null;
+            entries.push({
+                heading,
+                screenReader: findAssistiveTech(heading || '')[0] || null,
+                os: VIDEO_OS.find(os => os.pattern.test(heading || ''))?.name || null,
+                browser: VIDEO_BROWSERS.find(browser => new RegExp(`\\b${browser}\\b`, 'i').test(heading || '')) || null,
+                fileType: extension,
+                mimeType: type || (extension ? `video/${extension}` : null),
+                file,
+                url: absoluteUrl(src)
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Get a component's demo videos, optionally filtered
+ * @param {string} platform - 'web' or 'native'
+ * @param {string} componentName - Component name
+ * @param {Object} [filters]
+ * @param {string} [filters.screenReader] - Screen reader (e.g., 'NVDA', 'voiceover', 'Talkback')
+ * @returns {Array|null} Matching videos, or null if the component does not exist
+ */
+export function getComponentVideos(platform, componentName, { screenReader = null } = {}) {
+    const component = findComponent(platform, componentName);
+    if (!component) {
+        return null;
+    }
+
+    const videos = parseVideos(component.videos);
+    if (!screenReader) {
+        return videos;
+    }
+    const wanted = findAssistiveTech(screenReader)[0] || screenReader.trim();
+    return videos.filter(video => video.screenReader && video.screenReader.toLowerCase() === wanted.toLowerCase());
+}
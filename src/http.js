@@ -0,0 +1,207 @@
+import http from 'node:http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SUPPORTED_PROTOCOL_VERSIONS } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, SERVER_INFO } from './server.js';
+import { tools } from './tools.js';
+
+/**
+ * MCP over Streamable HTTP
+ * Shared by the Netlify function and the standalone Node server (src/index.js --http).
+ * Both are stateless: every request gets a fresh server and transport, so no session id is issued.
+ */
+
+// CORS headers for all responses
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+};
+
+// Largest request body accepted by the standalone server
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Whether requests are answered with an SSE stream instead of a single JSON body
+ * Set MCP_SSE=true to enable.
+ */
+export function useSseResponses() {
+  return process.env.MCP_SSE === 'true';
+}
+
+/**
+ * Server info returned by GET requests (health check; not part of MCP)
+ * @param {Object} [serverInfo=SERVER_INFO] - Name and version to report
+ * @returns {Object} Name, version, status and protocol details
+ */
+export function getServerStatus(serverInfo = SERVER_INFO) {
+  return {
+    name: serverInfo.name,
+    version: serverInfo.version,
+    status: 'healthy',
+    protocol: 'MCP Streamable HTTP (JSON-RPC 2.0)',
+    protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+    responses: useSseResponses() ? 'sse' : 'json',
+    tools: tools.length
+  };
+}
+
+/**
+ * JSON-RPC error body for failures outside the transport (e.g., unparseable JSON)
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {string} Serialized error response
+ */
+export function jsonRpcErrorBody(code, message) {
+  return JSON.stringify({ jsonrpc: '2.0', id: null, error: { code, message } });
+}
+
+/**
+ * Handle one parsed MCP POST with the SDK's Streamable HTTP transport
+ * @param {http.IncomingMessage} req - Request (body already consumed)
+ * @param {http.ServerResponse} res - Response
+ * @param {Object|Array} message - Parsed JSON-RPC message or batch
+ * @param {Object} [serverInfo=SERVER_INFO] - Name and version reported to clients
+ */
+export async function handleMcpRequest(req, res, message, serverInfo = SERVER_INFO) {
+  // The transport requires clients to accept both JSON and SSE; treat a missing or
+  // wildcard Accept header (e.g., curl) as accepting both
+  const accept = req.headers.accept;
+  if (!accept || accept.trim() === '*/*') {
+    req.headers.accept = 'application/json, text/event-stream';
+  }
+
+  // Some response implementations (serverless-http) don't return the response from
+  // writeHead, but the transport chains .end() on it
+  const writeHead = res.writeHead.bind(res);
+  res.writeHead = (...args) => {
+    writeHead(...args);
+    return res;
+  };
+
+  // A batch always gets an array back, even when it holds a single request;
+  // the transport unwraps single responses
+  if (Array.isArray(message) && !useSseResponses()) {
+    const end = res.end.bind(res);
+    res.end = (chunk, ...rest) => {
+      if (res.statusCode === 200 && typeof chunk === 'string' && chunk.startsWith('{')) {
+        return end(`[${chunk}]`, ...rest);
+      }
+      return end(chunk, ...rest);
+    };
+  }
+
+  const server = createServer({ serverInfo });
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: undefined,
+    enableJsonResponse: !useSseResponses(),
+  });
+
+  // Nothing outlives the request: close both once the response is done
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res, message);
+}
+
+/**
+ * Read a request body as a string, or null if it is over MAX_BODY_BYTES
+ * The rest of an oversized body is read and dropped rather than destroying the socket,
+ * so the client still gets the 413 response.
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      if (size > MAX_BODY_BYTES) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks.length = 0;
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a complete response with CORS headers
+ */
+function send(res, statusCode, body = '', headers = {}) {
+  res.writeHead(statusCode, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+}
+
+/**
+ * Create a standalone Node HTTP server for the MCP endpoint
+ * POST {path} handles MCP; GET {path}, / or /health returns server info.
+ * @param {Object} [options]
+ * @param {string} [options.path='/mcp'] - MCP endpoint path
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createHttpServer({ path = '/mcp' } = {}) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const isEndpoint = url.pathname === path || url.pathname === `${path}/`;
+    const isInfo = isEndpoint || url.pathname === '/' || url.pathname === '/health';
+
+    try {
+      if (req.method === 'OPTIONS') {
+        return send(res, 204);
+      }
+
+      if (req.method === 'GET' && isInfo) {
+        // No standalone SSE stream in stateless mode
+        const accept = req.headers.accept || '';
+        if (accept.includes('text/event-stream') && !accept.includes('application/json')) {
+          return send(res, 405, '', { Allow: 'POST, OPTIONS' });
+        }
+        return send(res, 200, JSON.stringify(getServerStatus()), { 'Content-Type': 'application/json' });
+      }
+
+      if (req.method === 'POST' && isEndpoint) {
+        const body = await readBody(req);
+        if (body === null) {
+          return send(res, 413, jsonRpcErrorBody(-32600, `Invalid Request: body larger than ${MAX_BODY_BYTES} bytes`), {
+            'Content-Type': 'application/json',
+            Connection: 'close'
+          });
+        }
+        let message;
+        try {
+          message = JSON.parse(body);
+        } catch (error) {
+          return send(res, 400, jsonRpcErrorBody(-32700, 'Parse error: ' + error.message), { 'Content-Type': 'application/json' });
+        }
+        if (Array.isArray(message) && message.length === 0) {
+          return send(res, 400, jsonRpcErrorBody(-32600, 'Invalid Request: empty batch'), { 'Content-Type': 'application/json' });
+        }
+
+        for (const [name, value] of Object.entries(CORS_HEADERS)) {
+          res.setHeader(name, value);
+        }
+        return await handleMcpRequest(req, res, message);
+      }
+
+      if (!isInfo) {
+        return send(res, 404, JSON.stringify({ error: 'Not found' }), { 'Content-Type': 'application/json' });
+      }
+      return send(res, 405, JSON.stringify({ error: 'Method not allowed' }), {
+        'Content-Type': 'application/json',
+        Allow: 'GET, POST, OPTIONS'
+      });
+    } catch (error) {
+      console.error('Error handling HTTP request:', error);
+      if (!res.headersSent) {
+        send(res, 500, jsonRpcErrorBody(-32603, 'Internal error'), { 'Content-Type': 'application/json' });
+      }
+    }
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Content Import Checks
+ * Validates a new content.json (from the submodule build, a local checkout or a prebuilt
+ * file) before it replaces data/content.json, and summarizes what it contains
+ */
+
+import { validateSchema } from './validation.js';
+import { diffContent } from './changes.js';
+
+const NULLABLE_TEXT = { type: ['string', 'null'] };
+
+/**
+ * Content fields every component has in the build output (null when it has no such content)
+ */
+const CONTENT_FIELDS = [
+    'generalNotes',
+    'gherkin',
+    'condensed',
+    'criteria',
+    'videos',
+    'androidDeveloperNotes',
+    'iosDeveloperNotes',
+    'developerNotes'
+];
+
+/**
+ * Schema for one component; criteria platforms also require non-empty gherkin and condensed text
+ */
+function componentSchema(requiredText = []) {
+    const properties = {
+        name: { type: 'string', minLength: 1 },
+        label: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        ...Object.fromEntries(CONTENT_FIELDS.map(field => [field, NULLABLE_TEXT]))
+    };
+    for (const field of requiredText) {
+        properties[field] = { type: 'string', minLength: 1 };
+    }
+    return { type: 'object', properties, required: ['name', 'label', ...CONTENT_FIELDS] };
+}
+
+/**
+ * Schema for a platform: a list of categories holding components
+ */
+function platformSchema(component) {
+    return {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                label: { type: 'string', minLength: 1 },
+                children: { type: 'array', items: component }
+            },
+            required: ['name', 'label', 'children']
+        }
+    };
+}
+
+/**
+ * Schema for content.json: platform -> category -> children
+ */
+export const CONTENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        web: platformSchema(componentSchema(['gherkin', 'condensed'])),
+        native: platformSchema(componentSchema(['gherkin', 'condensed'])),
+        'how-to-test': platformSchema(componentSchema())
+    },
+    required: ['web', 'native', 'how-to-test']
+};
+
+const PLATFORMS = CONTENT_SCHEMA.required;
+
+/**
+ * Check content.json data against CONTENT_SCHEMA, plus rules a schema can't express
+ * (component and category slugs must be unique within a platform)
+ * @param {*} content - Parsed content.json
+ * @returns {Object[]} Errors as { path, message }
+ */
+export function validateContent(content) {
+    const errors = validateSchema(content, CONTENT_SCHEMA);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    for (const platform of PLATFORMS) {
+        const seen = { category: new Set(), component: new Set() };
+        content[platform].forEach((cat, i) => {
+            if (seen.category.has(cat.name)) {
+                errors.push({ path: `${platform}[${i}].name`, message: `duplicate category "${cat.name}"` });
+            }
+            seen.category.add(cat.name);
+            cat.children.forEach((child, j) => {
+                if (seen.component.has(child.name)) {
+                    errors.push({ path: `${platform}[${i}].children[${j}].name`, message: `duplicate component "${child.name}"` });
+                }
+                seen.component.add(child.name);
+            });
+        });
+    }
+    return errors;
+}
+
+/**
+ * Component counts per platform, and how many have each content field
+ * @param {Object} content - Valid content.json data
+ * @returns {Object} { [platform]: { categories, components, fields: { gherkin: n, ... } } }
+ */
+export function summarizeContent(content) {
+    return Object.fromEntries(PLATFORMS.map(platform => {
+        const categories = content[platform];
+        const components = categories.flatMap(cat => cat.children);
+        return [platform, {
+            categories: categories.length,
+            components: components.length,
+            fields: Object.fromEntries(CONTENT_FIELDS.map(field => [field, components.filter(c => c[field]).length]))
+        }];
+    }));
+}
+
+/**
+ * Decide whether new content may replace the current content
+ * New content must match the schema, and must not drop components or empty out sections
+ * they had, unless removals are allowed.
+ * @param {Object|null} previous - Current content.json data (null on first import)
+ * @param {*} next - New content.json data
+ * @param {Object} [options]
+ * @param {boolean} [options.allowRemovals=false] - Accept removed components and sections
+ * @returns {Object} { ok, errors, removals, diff, summary } - errors are schema errors; removals
+ *   list dropped components and sections; diff is null when the content is invalid or new
+ */
+export function checkImport(previous, next, { allowRemovals = false } = {}) {
+    const errors = validateContent(next);
+    if (errors.length > 0) {
+        return { ok: false, errors, removals: [], diff: null, summary: null };
+    }
+
+    const diff = previous ? diffContent(previous, next) : null;
+    const removals = [
+        ...(diff?.removed || []).map(c => `${c.platform}/${c.name}: component removed`),
+        ...(diff?.changed || []).flatMap(c => c.sections
+            .filter(section => section.change === 'removed')
+            .map(section => `${c.platform}/${c.name}: ${section.section} removed`))
+    ];
+
+    return {
+        ok: allowRemovals || removals.length === 0,
+        errors,
+        removals,
+        diff,
+        summary: summarizeContent(next)
+    };
+}
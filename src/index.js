@@ -1,58 +1,124 @@
 #!/usr/bin/env node
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { parseArgs } from 'node:util';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { tools } from './tools.js';
+import { createServer, notifyContentChanged, SERVER_INFO } from './server.js';
+import { createHttpServer } from './http.js';
+import { CONTENT_PATH_ENV, OVERLAY_PATH_ENV, useContentSource, watchContentSource } from './content-source.js';
+
+const DEFAULT_PORT = 3000;
 
 /**
- * Create and configure the MCP server for local (stdio) use
+ * Read transport options from the command line and environment
+ *   node src/index.js                      stdio (default)
+ *   node src/index.js --http [--port 3000] [--host 127.0.0.1]
+ *   MCP_HTTP_PORT=3000 node src/index.js   HTTP on the given port
+ *
+ * Either transport can serve a content.json other than the bundled one, and merge an
+ * organization overlay directory into it, reloading both on change:
+ *   node src/index.js --content path/to/content.json --overlay path/to/overlays
+ *   MCP_CONTENT_PATH=path/to/content.json MCP_OVERLAY_PATH=path/to/overlays node src/index.js
  */
-const server = new Server(
-  {
-    name: 'test-mcp-hatchery-build',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
+function getOptions() {
+  const { values } = parseArgs({
+    options: {
+      http: { type: 'boolean', default: false },
+      port: { type: 'string' },
+      host: { type: 'string' },
+      content: { type: 'string' },
+      overlay: { type: 'string' },
     },
+  });
+
+  const portValue = values.port ?? process.env.MCP_HTTP_PORT;
+  const port = portValue === undefined ? DEFAULT_PORT : Number(portValue);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${portValue}`);
   }
-);
 
-/**
- * Handler for listing available tools
- */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
-    tools: tools.map(tool => ({
-      name: tool.name,
-      description: tool.description,
-      inputSchema: tool.inputSchema
-    }))
+    http: values.http || values.port !== undefined || process.env.MCP_HTTP_PORT !== undefined,
+    port,
+    host: values.host ?? process.env.MCP_HTTP_HOST,
+    contentPath: values.content ?? process.env[CONTENT_PATH_ENV],
+    overlayPath: values.overlay ?? process.env[OVERLAY_PATH_ENV],
   };
-});
+}
 
 /**
- * Handler for calling tools
+ * Serve content from a file and/or with overlays instead of the bundled content.json,
+ * and reload it on change
+ * @param {Object} options - contentPath and overlayPath from getOptions
+ * @param {Function} [onReload] - Called with the content diff after each reload
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const tool = tools.find(t => t.name === request.params.name);
-  
-  if (!tool) {
-    throw new Error(`Unknown tool: ${request.params.name}`);
+function loadContentSource(options, onReload = () => {}) {
+  const source = useContentSource(options);
+  console.error(`Serving content from ${source.contentPath || 'the bundled content.json'}`);
+  if (source.overlayPath) {
+    console.error(`Merging overlays from ${source.overlayPath}`);
   }
-  
-  // Execute tool handler
-  return await tool.handler(request.params.arguments);
-});
+
+  watchContentSource(source, {
+    onReload: (diff) => {
+      const { added, removed, changed } = diff.summary;
+      console.error(`Reloaded content: ${added} added, ${removed} removed, ${changed} changed`);
+      onReload(diff);
+    },
+    onError: (error) => console.error(`Content not reloaded, keeping the current content: ${error.message}`),
+  });
+}
 
 /**
  * Start the server with stdio transport
+ * The server definition (tools, resources, prompts) lives in server.js
  */
-async function main() {
+async function startStdio(options) {
+  const liveContent = Boolean(options.contentPath || options.overlayPath);
+  const server = createServer({ liveContent });
+  if (liveContent) {
+    loadContentSource(options, (diff) => {
+      notifyContentChanged(server, diff).catch((error) => {
+        console.error('Failed to notify the client of reloaded content:', error.message);
+      });
+    });
+  }
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
-  console.error('test-mcp-hatchery-build MCP server running on stdio');
+  console.error(`${SERVER_INFO.name} MCP server running on stdio`);
+}
+
+/**
+ * Start the server as a standalone Streamable HTTP endpoint at /mcp
+ * Each HTTP request gets a fresh server, so reloaded content needs no notification.
+ */
+async function startHttp(options) {
+  const { port, host } = options;
+  if (options.contentPath || options.overlayPath) {
+    loadContentSource(options);
+  }
+
+  const httpServer = createHttpServer();
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const address = httpServer.address();
+  const displayHost = host || 'localhost';
+  console.error(`${SERVER_INFO.name} MCP server running on http://${displayHost}:${address.port}/mcp`);
+
+  const shutdown = () => httpServer.close(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+async function main() {
+  const options = getOptions();
+  if (options.http) {
+    await startHttp(options);
+  } else {
+    await startStdio(options);
+  }
 }
 
 main().catch((error) => {
@@ -0,0 +1,333 @@
+/**
+ * Organization Overlays
+ * Merges team-specific criteria (extra components and categories, stricter or additional
+ * sections) into MagentaA11y content, and records where each section came from so the
+ * tools can tell MagentaA11y criteria from org-specific ones
+ */
+
+import { validateSchema } from './validation.js';
+import { CHANGE_SECTIONS } from './changes.js';
+import { CONTENT_SCHEMA } from './importer.js';
+
+/**
+ * Component sections an overlay can add to or replace
+ */
+export const OVERLAY_SECTIONS = [
+    'generalNotes',
+    'gherkin',
+    'condensed',
+    'developerNotes',
+    'iosDeveloperNotes',
+    'androidDeveloperNotes'
+];
+
+/**
+ * Where a section's content came from, with display labels
+ * 'magentaa11y+org' is MagentaA11y content with org text appended.
+ */
+export const SOURCE_LABELS = {
+    magentaa11y: 'MagentaA11y',
+    org: 'Org overlay',
+    'magentaa11y+org': 'MagentaA11y + org overlay'
+};
+
+const MODES = ['append', 'replace'];
+
+// Content fields a component added by an overlay starts with
+const EMPTY_COMPONENT = Object.fromEntries(
+    Object.keys(CONTENT_SCHEMA.properties.web.items.properties.children.items.properties)
+        .filter(field => !['name', 'label', 'type'].includes(field))
+        .map(field => [field, null])
+);
+
+const SECTION_SCHEMA = {
+    type: ['string', 'object'],
+    properties: {
+        mode: { type: 'string', enum: MODES },
+        text: { type: 'string' }
+    },
+    required: ['text']
+};
+
+/**
+ * Schema for one overlay entry: a component (component set) or a category (component omitted)
+ */
+const ENTRY_SCHEMA = {
+    type: 'object',
+    properties: {
+        platform: { type: 'string', enum: CONTENT_SCHEMA.required },
+        category: { type: 'string', minLength: 1 },
+        categoryLabel: { type: 'string', minLength: 1 },
+        component: { type: 'string', minLength: 1 },
+        label: { type: 'string', minLength: 1 },
+        orgSpecific: { type: 'boolean' },
+        mode: { type: 'string', enum: MODES },
+        sections: { type: 'object' }
+    },
+    required: ['platform']
+};
+
+/**
+ * Split Markdown front matter (`key: value` lines between --- fences) from the body
+ */
+function splitFrontMatter(text) {
+    const match = text.match(/^---\n([\s\S]*?)\n---\n?/);
+    if (!match) {
+        return { attributes: {}, body: text };
+    }
+    const attributes = {};
+    for (const line of match[1].split('\n')) {
+        const pair = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (!pair) continue;
+        const value = pair[2].replace(/^(['"])(.*)\1$/, '$2');
+        attributes[pair[1]] = value === 'true' ? true : value === 'false' ? false : value;
+    }
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+/**
+ * Section field for a Markdown heading: the field name or its title ("condensed", "Condensed Criteria")
+ */
+function headingSection(heading) {
+    const key = heading.trim().toLowerCase();
+    const match = CHANGE_SECTIONS.find(({ section, title }) =>
+        OVERLAY_SECTIONS.includes(section) && (section.toLowerCase() === key || title.toLowerCase() === key));
+    return match ? match.section : null;
+}
+
+/**
+ * Sections of a Markdown overlay body, split on level-1 headings that name a section
+ * ("# condensed", "# Gherkin Criteria (replace)"). Other headings, and anything inside
+ * code fences, are section text.
+ */
+function markdownSections(body) {
+    const sections = {};
+    let current = null;
+    let inFence = false;
+    for (const line of body.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+        const heading = !inFence && line.match(/^#\s+(.+?)(?:\s+\((append|replace)\))?\s*$/);
+        const section = heading && headingSection(heading[1]);
+        if (section) {
+            current = { mode: heading[2], lines: [] };
+            sections[section] = current;
+        } else if (current) {
+            current.lines.push(line);
+        }
+    }
+    return Object.fromEntries(Object.entries(sections).map(([section, { mode, lines }]) => {
+        const text = lines.join('\n').trim();
+        return [section, mode ? { mode, text } : text];
+    }));
+}
+
+/**
+ * Parse one overlay file into entries
+ * JSON files hold an entry or an array of entries. Markdown files hold one entry: its
+ * front matter has the entry fields, and the body is either one section (front matter
+ * `section: condensed`) or several under "# <section>" headings.
+ * @param {string} file - File name, used for its extension and in errors
+ * @param {string} text - File contents
+ * @returns {Object[]} Entries as { platform, category, categoryLabel, component, label, orgSpecific, mode, sections }
+ * @throws {Error} If a JSON file isn't valid JSON
+ */
+export function parseOverlayFile(file, text) {
+    text = text.replace(/\r\n/g, '\n');
+    if (file.endsWith('.json')) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file}: not valid JSON (${error.message})`);
+        }
+        return [].concat(data);
+    }
+
+    const { attributes, body } = splitFrontMatter(text);
+    const { section, ...entry } = attributes;
+    return [{
+        ...entry,
+        sections: section ? { [section]: body.trim() } : markdownSections(body)
+    }];
+}
+
+/**
+ * Add a file to a list of overlay files, once
+ */
+function addFile(files = [], file) {
+    return files.includes(file) ? files : [...files, file];
+}
+
+/**
+ * Record that an overlay file set a section, and whether MagentaA11y text remains in it
+ */
+function setSource(component, field, origin, file) {
+    const previous = component.sources?.[field];
+    component.sources = {
+        ...component.sources,
+        [field]: { origin, overlays: addFile(previous?.overlays, file) }
+    };
+}
+
+/**
+ * Add or replace one section of a component
+ */
+function applySection(component, field, value, defaultMode, file) {
+    const { mode = defaultMode, text } = typeof value === 'string' ? { text: value } : value;
+    const current = component[field];
+    const origin = component.sources?.[field]?.origin || (current ? 'magentaa11y' : null);
+
+    if (mode === 'replace' || !current) {
+        component[field] = text;
+        setSource(component, field, 'org', file);
+    } else {
+        component[field] = `${current.trimEnd()}\n\n${text}`;
+        setSource(component, field, origin === 'org' ? 'org' : 'magentaa11y+org', file);
+    }
+}
+
+/**
+ * Find or create the category an entry names
+ */
+function overlayCategory(categories, entry, file, where, errors) {
+    let category = categories.find(cat => cat.name === entry.category);
+    if (category) {
+        return category;
+    }
+    const label = entry.component ? entry.categoryLabel : entry.label || entry.categoryLabel;
+    if (!label) {
+        errors.push(`${where}: category "${entry.category}" does not exist on ${entry.platform}; give a categoryLabel to add it`);
+        return null;
+    }
+    category = { name: entry.category, label, children: [], orgSpecific: entry.orgSpecific ?? true, overlays: [file] };
+    categories.push(category);
+    return category;
+}
+
+/**
+ * Apply one overlay entry to content (mutates the content copy)
+ * Sections record the file they came from; errors name the entry (where), e.g. "brand.json[2]".
+ */
+function applyEntry(content, entry, file, where, errors) {
+    const problems = validateSchema(entry, ENTRY_SCHEMA).map(e => `${e.path}: ${e.message}`);
+    const sections = entry.sections && typeof entry.sections === 'object' && !Array.isArray(entry.sections) ? entry.sections : {};
+    const unknown = Object.keys(sections).filter(field => !OVERLAY_SECTIONS.includes(field));
+    if (unknown.length > 0) {
+        problems.push(`sections: unknown section(s) ${unknown.join(', ')} (use ${OVERLAY_SECTIONS.join(', ')})`);
+    }
+    for (const [field, value] of Object.entries(sections)) {
+        problems.push(...validateSchema(value, SECTION_SCHEMA).map(e => `sections.${field}${e.path === '(root)' ? '' : `.${e.path}`}: ${e.message}`));
+    }
+    if (!entry.component && !entry.category) {
+        problems.push('needs a component or a category');
+    }
+    if (problems.length > 0) {
+        errors.push(...problems.map(problem => `${where}: ${problem}`));
+        return;
+    }
+
+    const categories = content[entry.platform];
+    const defaultMode = entry.mode || 'append';
+
+    if (!entry.component) {
+        overlayCategory(categories, entry, file, where, errors);
+        return;
+    }
+
+    let component = null;
+    let category = null;
+    for (const cat of categories) {
+        component = cat.children.find(child => child.name === entry.component) || null;
+        if (component) {
+            category = cat;
+            break;
+        }
+    }
+
+    if (component) {
+        if (entry.category && entry.category !== category.name) {
+            errors.push(`${where}: ${entry.platform}/${entry.component} is in category "${category.name}", not "${entry.category}"; overlays can't move components`);
+            return;
+        }
+        if (entry.orgSpecific !== undefined) {
+            component.orgSpecific = entry.orgSpecific;
+        }
+    } else {
+        if (!entry.category || !entry.label) {
+            errors.push(`${where}: ${entry.platform}/${entry.component} is not in MagentaA11y; a new component needs a category and a label`);
+            return;
+        }
+        const required = CONTENT_SCHEMA.properties[entry.platform].items.properties.children.items.properties;
+        const missing = OVERLAY_SECTIONS.filter(field => required[field].minLength && !sections[field]);
+        if (missing.length > 0) {
+            errors.push(`${where}: new ${entry.platform} component "${entry.component}" needs ${missing.join(' and ')} sections`);
+            return;
+        }
+        category = overlayCategory(categories, entry, file, where, errors);
+        if (!category) {
+            return;
+        }
+        component = { name: entry.component, label: entry.label, type: 'file', ...EMPTY_COMPONENT, orgSpecific: entry.orgSpecific ?? true, sources: {} };
+        category.children.push(component);
+    }
+
+    component.overlays = addFile(component.overlays, file);
+    for (const [field, value] of Object.entries(sections)) {
+        applySection(component, field, value, defaultMode, file);
+    }
+}
+
+/**
+ * Merge overlay files into content
+ * Files apply in the order given (name order when loaded from a directory), so a later
+ * file appends after, or replaces, what an earlier one set.
+ * @param {Object} content - content.json data; not modified
+ * @param {Object[]} files - Overlay files as { file, text }
+ * @returns {Object} { content, errors } - merged copy, and errors as "file: message" strings
+ */
+export function applyOverlays(content, files) {
+    const merged = structuredClone(content);
+    const errors = [];
+    for (const { file, text } of files) {
+        let entries;
+        try {
+            entries = parseOverlayFile(file, text);
+        } catch (error) {
+            errors.push(error.message);
+            continue;
+        }
+        entries.forEach((entry, i) => {
+            const where = entries.length > 1 ? `${file}[${i}]` : file;
+            if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+                errors.push(`${where}: expected an object`);
+                return;
+            }
+            applyEntry(merged, entry, file, where, errors);
+        });
+    }
+    return { content: merged, errors };
+}
+
+/**
+ * Where one section of a component came from
+ * @param {Object} component - Component object
+ * @param {string} field - Content field (e.g., 'condensed')
+ * @returns {Object} { origin, overlays } - origin is a SOURCE_LABELS key; overlays lists the files
+ */
+export function sectionSource(component, field) {
+    return component.sources?.[field] || { origin: 'magentaa11y', overlays: [] };
+}
+
+/**
+ * Sources of a component's non-empty sections
+ * @param {Object} component - Component object
+ * @param {string[]} [fields] - Fields to report (default: OVERLAY_SECTIONS)
+ * @returns {Object} { [field]: { origin, overlays } }
+ */
+export function componentSources(component, fields = OVERLAY_SECTIONS) {
+    return Object.fromEntries(fields
+        .filter(field => component[field])
+        .map(field => [field, sectionSource(component, field)]));
+}
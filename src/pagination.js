@@ -0,0 +1,168 @@
+/**
+ * Response Pagination
+ * Splits long markdown tool output into pages so a client can cap how much of its
+ * context window one call uses (max_chars) and fetch the rest with a cursor
+ */
+
+import { createHash } from 'crypto';
+import { ERROR_CODES, errorResponse } from './errors.js';
+
+// Smallest page size accepted for max_chars
+export const MIN_PAGE_CHARS = 500;
+
+// Room kept on each page for the continuation note
+const FOOTER_RESERVE = 160;
+
+/**
+ * Input schema properties added to every paginated tool
+ */
+export const PAGINATION_INPUT_PROPERTIES = {
+    max_chars: {
+        type: 'integer',
+        description: `Maximum characters of text to return (at least ${MIN_PAGE_CHARS}). Longer output ends with a cursor for the next page`,
+        minimum: MIN_PAGE_CHARS,
+    },
+    cursor: {
+        type: 'string',
+        description: 'Cursor from a previous page of the same call, to continue where it stopped',
+    },
+};
+
+/**
+ * Output schema for structuredContent.page
+ */
+export const PAGE_OUTPUT_SCHEMA = {
+    type: 'object',
+    description: 'Present when the text was paginated',
+    properties: {
+        offset: { type: 'integer', description: 'Character offset of this page in the full text' },
+        length: { type: 'integer', description: 'Characters of the full text on this page' },
+        totalChars: { type: 'integer' },
+        nextCursor: { type: ['string', 'null'], description: 'Pass as cursor to get the next page; null on the last page' },
+        omitted: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'structuredContent fields left out of paged responses; call without max_chars or cursor to get them'
+        }
+    },
+    required: ['offset', 'length', 'totalChars', 'nextCursor', 'omitted']
+};
+
+/**
+ * Output schema and paging settings of a paginated tool, to spread into the tool definition
+ * The content fields hold the same data the text pages through, so a paged response
+ * leaves them out of structuredContent (otherwise every page would carry all of it) and
+ * the schema stops requiring them.
+ * @param {Object} outputSchema - Tool outputSchema
+ * @param {string[]} contentFields - Properties left out of paged responses
+ * @returns {Object} { outputSchema, paginated } - schema with the optional page property
+ */
+export function pagedOutput(outputSchema, contentFields) {
+    return {
+        outputSchema: {
+            ...outputSchema,
+            properties: { ...outputSchema.properties, page: PAGE_OUTPUT_SCHEMA },
+            required: (outputSchema.required || []).filter(field => !contentFields.includes(field))
+        },
+        paginated: { contentFields }
+    };
+}
+
+/**
+ * Short fingerprint of the full text, so a cursor only continues the output it came from
+ * (not another component's or format's output of the same length, or reloaded content)
+ */
+function textHash(text) {
+    return createHash('sha256').update(text).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Encode a page position as an opaque cursor
+ */
+function encodeCursor(offset, maxChars, text) {
+    return Buffer.from(JSON.stringify({ o: offset, n: maxChars, t: text.length, h: textHash(text) })).toString('base64url');
+}
+
+/**
+ * Decode a cursor, or return null if it isn't one of ours
+ */
+function decodeCursor(cursor) {
+    try {
+        const { o, n, t, h } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if ([o, n, t].every(Number.isSafeInteger) && o >= 0 && n >= MIN_PAGE_CHARS && typeof h === 'string') {
+            return { offset: o, maxChars: n, totalChars: t, hash: h };
+        }
+    } catch {
+        // Fall through to null
+    }
+    return null;
+}
+
+/**
+ * End offset for a page: the last line break within the budget, so pages don't split
+ * lines, unless that would leave the page less than half full
+ */
+function pageEnd(text, offset, budget) {
+    const limit = offset + budget;
+    if (limit >= text.length) {
+        return text.length;
+    }
+    const lineBreak = text.lastIndexOf('\n', limit);
+    return lineBreak > offset + budget / 2 ? lineBreak + 1 : limit;
+}
+
+/**
+ * Paginate a tool response's text according to max_chars / cursor
+ * Responses without either argument, and error responses, are returned unchanged.
+ * @param {Object} response - Tool result ({ content: [{ type: 'text', text }], structuredContent })
+ * @param {Object} args - Tool arguments (max_chars, cursor)
+ * @param {string[]} [contentFields] - structuredContent fields to leave out of the page
+ * @returns {Object} Tool result holding one page of text, with structuredContent.page
+ */
+export function paginateResponse(response, args, contentFields = []) {
+    if (response.isError || (args.max_chars === undefined && args.cursor === undefined)) {
+        return response;
+    }
+
+    const text = response.content?.[0]?.text ?? '';
+    let offset = 0;
+    let maxChars = args.max_chars;
+
+    if (args.cursor !== undefined) {
+        const position = decodeCursor(args.cursor);
+        if (!position) {
+            return errorResponse(ERROR_CODES.INVALID_ARGUMENTS, 'Invalid cursor.', { argument: 'cursor' });
+        }
+        if (position.totalChars !== text.length || position.hash !== textHash(text) || position.offset >= text.length) {
+            return errorResponse(
+                ERROR_CODES.INVALID_ARGUMENTS,
+                'Cursor does not match this output; the content or arguments changed. Start again without a cursor.',
+                { argument: 'cursor' }
+            );
+        }
+        offset = position.offset;
+        maxChars = maxChars ?? position.maxChars;
+    }
+
+    const remaining = text.length - offset;
+    const end = remaining <= maxChars ? text.length : pageEnd(text, offset, maxChars - FOOTER_RESERVE);
+    const nextCursor = end < text.length ? encodeCursor(end, maxChars, text) : null;
+
+    let page = text.slice(offset, end);
+    if (nextCursor) {
+        page += `\n\n---\n*Characters ${offset + 1}–${end} of ${text.length}. Call again with cursor "${nextCursor}" for the rest.*\n`;
+    }
+
+    let structuredContent = response.structuredContent;
+    if (structuredContent) {
+        const omitted = contentFields.filter(field => field in structuredContent);
+        structuredContent = Object.fromEntries(Object.entries(structuredContent).filter(([field]) => !omitted.includes(field)));
+        structuredContent.page = { offset, length: end - offset, totalChars: text.length, nextCursor, omitted };
+    }
+
+    return {
+        ...response,
+        content: [{ type: 'text', text: page }, ...response.content.slice(1)],
+        structuredContent
+    };
+}
@@ -0,0 +1,252 @@
+/**
+ * MCP Prompt Definitions
+ * Parameterized prompt templates for common accessibility workflows; each one embeds
+ * the relevant MagentaA11y content so the model works from the published criteria
+ */
+
+import {
+    resolveComponent,
+    getRelatedTestingGuides,
+    findTestingGuide,
+    extractWcagCriteria,
+    renderContent
+} from './helpers.js';
+import { ERROR_CODES } from './errors.js';
+
+// JSON-RPC error code for an unknown prompt or bad prompt arguments
+const INVALID_PARAMS = -32602;
+
+// Guides that cover screen reader testing on each platform
+const SCREEN_READER_GUIDES = {
+    web: 'web-screen-readers',
+    native: 'native-apps'
+};
+
+/**
+ * Error thrown for an unknown prompt or bad arguments; carries the JSON-RPC error code,
+ * with the tool error code (e.g., NOT_FOUND) in data.code
+ */
+export class InvalidPromptError extends Error {
+    constructor(message, data = undefined) {
+        super(message);
+        this.name = 'InvalidPromptError';
+        this.code = INVALID_PARAMS;
+        this.data = data;
+    }
+}
+
+/**
+ * Resolve a component for a prompt, throwing with suggestions if it can't be found
+ */
+function requireComponent(platform, name) {
+    if (platform !== 'web' && platform !== 'native') {
+        throw new InvalidPromptError(`Invalid platform "${platform}". Use "web" or "native".`, {
+            code: ERROR_CODES.INVALID_PLATFORM,
+            argument: 'platform'
+        });
+    }
+
+    const { component, ambiguous, alternatives } = resolveComponent(platform, name);
+    if (!component) {
+        const suggestions = alternatives.slice(0, 5).map(({ name, label, category, categoryName }) => ({ name, label, category, categoryName }));
+        const reason = ambiguous ? 'matches several components' : 'was not found';
+        const hint = suggestions.length ? ` Did you mean: ${suggestions.map(s => s.name).join(', ')}?` : '';
+        throw new InvalidPromptError(`Component "${name}" ${reason} for platform "${platform}".${hint}`, {
+            code: ambiguous ? ERROR_CODES.AMBIGUOUS : ERROR_CODES.NOT_FOUND,
+            argument: 'component',
+            suggestions
+        });
+    }
+    return component;
+}
+
+/**
+ * Markdown block for one piece of content, or '' if the component doesn't have it
+ * Headings inside the content are pushed below the block's own heading.
+ */
+function contentBlock(title, text) {
+    if (!text) return '';
+    const body = renderContent(text).trim().replace(/^(#{1,5})(?=\s)/gm, '##$1');
+    return `## ${title}\n\n${body}\n\n`;
+}
+
+/**
+ * Split a comma-separated argument into trimmed values
+ */
+function listArgument(value) {
+    return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Single user message result
+ */
+function promptResult(description, text) {
+    return {
+        description,
+        messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+}
+
+export const prompts = [
+    {
+        name: 'write_acceptance_criteria',
+        title: 'Write accessibility acceptance criteria',
+        description: 'Write accessibility acceptance criteria for a component in a user story, based on the MagentaA11y gherkin and condensed criteria.',
+        arguments: [
+            { name: 'component', description: 'Component name (e.g., "button", "modal-dialog")', required: true },
+            { name: 'platform', description: 'Platform: web or native', required: true },
+            { name: 'story', description: 'What the feature does, so the criteria can be tailored (optional)', required: false }
+        ],
+        handler: (args) => {
+            const component = requireComponent(args.platform, args.component);
+
+            let text = `Write accessibility acceptance criteria for the ${component.label} component on ${args.platform}`;
+            text += args.story ? ` in this user story:\n\n> ${args.story}\n\n` : '.\n\n';
+            text += 'Base them on the MagentaA11y criteria below. Keep the GIVEN/WHEN/THEN structure, ';
+            text += 'replace generic wording with the specifics of this story (names, states, content), ';
+            text += 'drop steps that do not apply, and keep the keyboard, screen reader and device-settings sections.\n\n';
+            text += contentBlock('MagentaA11y Gherkin Criteria', component.gherkin);
+            text += contentBlock('MagentaA11y Condensed Criteria', component.condensed);
+
+            return promptResult(`Acceptance criteria for ${component.label} (${args.platform})`, text);
+        }
+    },
+    {
+        name: 'review_implementation',
+        title: 'Review a component implementation',
+        description: 'Review a component implementation (code or description) against the MagentaA11y criteria and developer notes.',
+        arguments: [
+            { name: 'component', description: 'Component name (e.g., "checkbox", "tabs")', required: true },
+            { name: 'platform', description: 'Platform: web or native', required: true },
+            { name: 'implementation', description: 'The code or markup to review', required: true }
+        ],
+        handler: (args) => {
+            const component = requireComponent(args.platform, args.component);
+            const wcag = extractWcagCriteria(component);
+
+            let text = `Review this ${component.label} implementation (${args.platform}) for accessibility.\n\n`;
+            text += '```\n' + args.implementation.trim() + '\n```\n\n';
+            text += 'Check it against every MagentaA11y criterion below. For each problem, quote the code, ';
+            text += 'name the criterion or WCAG success criterion it breaks and show the fix. ';
+            text += 'Finish with what cannot be verified from code alone and should be tested with a screen reader.\n\n';
+            text += contentBlock('MagentaA11y Condensed Criteria', component.condensed);
+            text += contentBlock('Developer Notes', component.developerNotes);
+            if (args.platform === 'native') {
+                text += contentBlock('iOS Developer Notes', component.iosDeveloperNotes);
+                text += contentBlock('Android Developer Notes', component.androidDeveloperNotes);
+            }
+            if (wcag.length > 0) {
+                text += contentBlock('Related WCAG Success Criteria', wcag.map(sc => `- ${sc.number} ${sc.name} (${sc.level})`).join('\n'));
+            }
+
+            return promptResult(`Implementation review for ${component.label} (${args.platform})`, text);
+        }
+    },
+    {
+        name: 'plan_screen_reader_test',
+        title: 'Plan a screen reader test session',
+        description: 'Plan a screen reader test session for a page or screen, combining the MagentaA11y how-to-test guide with the gherkin criteria for the components on it.',
+        arguments: [
+            { name: 'page_type', description: 'Page or screen being tested (e.g., "form", "checkout page", "settings screen")', required: true },
+            { name: 'platform', description: 'Platform: web or native (default: web)', required: false },
+            { name: 'components', description: 'Comma-separated components on the page (e.g., "text-input, checkbox, button")', required: false },
+            { name: 'screen_readers', description: 'Comma-separated screen readers to cover (e.g., "NVDA, VoiceOver")', required: false }
+        ],
+        handler: (args) => {
+            const platform = args.platform || 'web';
+            if (platform !== 'web' && platform !== 'native') {
+                throw new InvalidPromptError(`Invalid platform "${platform}". Use "web" or "native".`, {
+                    code: ERROR_CODES.INVALID_PLATFORM,
+                    argument: 'platform'
+                });
+            }
+
+            // A page type that names a component (e.g., "form") contributes its own criteria
+            const components = [];
+            const pageComponent = resolveComponent(platform, args.page_type).component;
+            if (pageComponent) {
+                components.push(pageComponent);
+            }
+            for (const name of listArgument(args.components)) {
+                const component = requireComponent(platform, name);
+                if (!components.some(c => c.name === component.name)) {
+                    components.push(component);
+                }
+            }
+
+            const screenReaders = listArgument(args.screen_readers);
+            const guideNames = new Set([SCREEN_READER_GUIDES[platform]]);
+            for (const component of components) {
+                for (const guide of getRelatedTestingGuides(platform, component.name)) {
+                    guideNames.add(guide.name);
+                }
+            }
+
+            let text = `Plan a screen reader test session for a ${args.page_type} (${platform}).\n\n`;
+            text += screenReaders.length
+                ? `Cover these screen readers: ${screenReaders.join(', ')}.\n\n`
+                : 'Choose the screen reader and browser/device pairings recommended in the guide below.\n\n';
+            text += 'Produce a session plan with: setup (devices, browsers, settings), the order to test the page in, ';
+            text += 'numbered test steps with the expected announcement for each, and a results table to fill in. ';
+            text += 'Use the component criteria below for the expected results.\n\n';
+
+            const [primaryGuide, ...otherGuides] = [...guideNames].map(findTestingGuide).filter(Boolean);
+            if (primaryGuide) {
+                text += contentBlock(`How to Test: ${primaryGuide.label}`, primaryGuide.developerNotes || primaryGuide.generalNotes);
+            }
+            if (otherGuides.length > 0) {
+                text += contentBlock('Related Testing Guides', otherGuides.map(g => `- ${g.label}: ${g.generalNotes || ''}`.trim()).join('\n'));
+            }
+            for (const component of components) {
+                text += contentBlock(`${component.label} Criteria`, component.gherkin || component.condensed);
+            }
+
+            return promptResult(`Screen reader test plan for ${args.page_type} (${platform})`, text);
+        }
+    }
+];
+
+/**
+ * List prompts in MCP format
+ * @returns {Object} { prompts }
+ */
+export function listPrompts() {
+    return {
+        prompts: prompts.map(({ name, title, description, arguments: args }) => ({
+            name,
+            title,
+            description,
+            arguments: args
+        }))
+    };
+}
+
+/**
+ * Render a prompt
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Prompt arguments (strings)
+ * @returns {Object} { description, messages }
+ * @throws {InvalidPromptError} If the prompt is unknown or arguments are missing or invalid
+ */
+export function getPrompt(name, args = {}) {
+    const prompt = prompts.find(p => p.name === name);
+    if (!prompt) {
+        throw new InvalidPromptError(`Unknown prompt: ${name}`, {
+            code: ERROR_CODES.NOT_FOUND,
+            suggestions: prompts.map(p => ({ name: p.name, label: p.title }))
+        });
+    }
+
+    const values = args || {};
+    const missing = prompt.arguments
+        .filter(arg => arg.required && !(typeof values[arg.name] === 'string' && values[arg.name].trim()))
+        .map(arg => arg.name);
+    if (missing.length > 0) {
+        throw new InvalidPromptError(`Missing required argument(s) for ${name}: ${missing.join(', ')}`, {
+            code: ERROR_CODES.INVALID_ARGUMENTS,
+            missing
+        });
+    }
+
+    return prompt.handler(values);
+}
@@ -0,0 +1,202 @@
+/**
+ * Fuzzy Name Resolution
+ * Scores candidate components against a user-supplied name using exact and
+ * prefix token matches, edit distance for typos and a synonym table
+ */
+
+// Minimum score for a candidate to be considered a match
+export const MATCH_THRESHOLD = 0.6;
+
+// Minimum score for a candidate to be offered as a "Did you mean" suggestion
+export const SUGGESTION_THRESHOLD = 0.4;
+
+// The best candidate must beat the runner-up by this much to be picked on its own
+export const AMBIGUITY_MARGIN = 0.1;
+
+/**
+ * Groups of interchangeable words used across design systems
+ */
+const SYNONYM_GROUPS = [
+    ['accordion', 'expander', 'expandable', 'disclosure', 'collapsible'],
+    ['toast', 'snackbar'],
+    ['dropdown', 'select', 'listbox'],
+    ['switch', 'toggle'],
+    ['modal', 'dialog', 'popup'],
+    ['slider', 'range'],
+    ['carousel', 'slideshow'],
+    ['spinner', 'loader', 'loading'],
+    ['alert', 'notification'],
+    ['separator', 'divider', 'hr', 'rule'],
+    ['autocomplete', 'combobox', 'typeahead'],
+    ['textarea', 'multiline'],
+    ['image', 'img', 'picture'],
+    ['pagination', 'pager'],
+    ['stepper', 'spinbutton'],
+    ['strikethrough', 'strike']
+];
+
+// Words ignored in queries ("keyboard and focus")
+const IGNORED_WORDS = new Set(['a', 'an', 'and', 'the', 'of']);
+
+const synonymsByWord = new Map();
+for (const group of SYNONYM_GROUPS) {
+    for (const word of group) {
+        synonymsByWord.set(word, group.filter(w => w !== word));
+    }
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Number of single-character edits
+ */
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Split a name or label into lowercase words
+ */
+function words(text) {
+    return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Whether two words (or slugs) are close enough to be a typo of each other
+ * Short words have too many real neighbours ("list" and "link", "tabs" and "table"),
+ * so one edit is allowed from 5 characters and two from 8.
+ */
+function isTypo(a, b) {
+    const length = Math.min(a.length, b.length);
+    if (length < 5) return false;
+    const distance = editDistance(a, b);
+    return distance === 1 || (distance === 2 && length >= 8);
+}
+
+/**
+ * Synonyms of a query word, also when the word is a typo of one ("accordian")
+ * @returns {Object} { synonyms, typo }
+ */
+function synonymsOf(queryWord) {
+    if (synonymsByWord.has(queryWord)) {
+        return { synonyms: synonymsByWord.get(queryWord), typo: false };
+    }
+    for (const [word, synonyms] of synonymsByWord) {
+        if (isTypo(queryWord, word)) {
+            return { synonyms, typo: true };
+        }
+    }
+    return { synonyms: [], typo: false };
+}
+
+/**
+ * How well one query word matches one candidate word (0 to 1)
+ */
+function wordScore(queryWord, candidateWord) {
+    if (queryWord === candidateWord) return 1;
+    const { synonyms, typo } = synonymsOf(queryWord);
+    if (synonyms.includes(candidateWord)) return typo ? 0.75 : 0.9;
+    if (queryWord.length >= 3 && candidateWord.startsWith(queryWord)) return 0.8;
+
+    if (isTypo(queryWord, candidateWord)) {
+        return editDistance(queryWord, candidateWord) === 1 ? 0.75 : 0.65;
+    }
+    return 0;
+}
+
+/**
+ * Score a candidate against a query
+ * Every query word is matched to its best candidate word; the average is
+ * scaled slightly by how much of the candidate the query covers, so "modal"
+ * prefers "modal" over "modal-dialog" when both exist. A close edit distance
+ * to the whole slug also counts.
+ * @param {string} query - Raw query
+ * @param {Object} candidate - Object with name and label
+ * @returns {number} Score between 0 and 1
+ */
+export function scoreCandidate(query, candidate) {
+    const queryWords = words(query).filter(w => !IGNORED_WORDS.has(w));
+    const candidateWords = [...new Set([...words(candidate.name), ...words(candidate.label)])]
+        .filter(w => !IGNORED_WORDS.has(w));
+
+    if (queryWords.length === 0 || candidateWords.length === 0) return 0;
+
+    const matchedCandidateWords = new Set();
+    let total = 0;
+    for (const queryWord of queryWords) {
+        let best = 0;
+        let bestWord = null;
+        for (const candidateWord of candidateWords) {
+            const score = wordScore(queryWord, candidateWord);
+            if (score > best) {
+                best = score;
+                bestWord = candidateWord;
+            }
+        }
+        total += best;
+        if (bestWord) matchedCandidateWords.add(bestWord);
+    }
+
+    const coverage = matchedCandidateWords.size / candidateWords.length;
+    const wordsScore = (total / queryWords.length) * (0.85 + 0.15 * coverage);
+
+    // Near-miss of the whole slug ("buton", "text-inptu")
+    const slug = queryWords.join('-');
+    const name = candidate.name.toLowerCase();
+    const slugScore = isTypo(slug, name) ? 0.95 - 0.1 * editDistance(slug, name) : 0;
+
+    return Math.max(wordsScore, slugScore);
+}
+
+/**
+ * Rank candidates against a query and decide whether there is a single match
+ * @param {string} query - Raw query
+ * @param {Array} candidates - Objects with name and label
+ * @returns {Object} { match, ambiguous, alternatives } where alternatives are
+ *   suggestion-worthy candidates (with score) sorted best first
+ */
+export function rankCandidates(query, candidates) {
+    const normalized = (query || '').toLowerCase().trim().replace(/[\s_]+/g, '-');
+
+    // Exact slug or label matches always win
+    const exact = candidates.find(c => c.name.toLowerCase() === normalized) ||
+        candidates.find(c => c.label.toLowerCase() === (query || '').toLowerCase().trim());
+    if (exact) {
+        return { match: exact, ambiguous: false, alternatives: [] };
+    }
+
+    const alternatives = candidates
+        .map(c => ({ ...c, score: Math.round(scoreCandidate(query, c) * 100) / 100 }))
+        .filter(c => c.score >= SUGGESTION_THRESHOLD)
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+    const [best, runnerUp] = alternatives;
+    if (!best || best.score < MATCH_THRESHOLD) {
+        return { match: null, ambiguous: false, alternatives };
+    }
+
+    if (runnerUp && runnerUp.score >= MATCH_THRESHOLD && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+        return {
+            match: null,
+            ambiguous: true,
+            alternatives: alternatives.filter(c => best.score - c.score < AMBIGUITY_MARGIN)
+        };
+    }
+
+    const { score, ...match } = best;
+    return { match, ambiguous: false, alternatives: alternatives.slice(1) };
+}
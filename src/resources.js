@@ -0,0 +1,196 @@
+/**
+ * MCP Resource Definitions
+ * Exposes every component, and each of its content formats, as an addressable resource:
+ *   magentaa11y://{platform}/{category}/{component}            overview of all formats
+ *   magentaa11y://{platform}/{category}/{component}/{format}   a single format
+ * e.g. magentaa11y://web/component/button/gherkin
+ */
+
+import { loadContent, findComponent, getComponentUrl, renderContent } from './helpers.js';
+import { ERROR_CODES } from './errors.js';
+
+export const RESOURCE_SCHEME = 'magentaa11y';
+
+// Resources returned per resources/list page
+const PAGE_SIZE = 100;
+
+// JSON-RPC error code for an unknown resource URI (per the MCP specification)
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * Content formats addressable as resources, in display order
+ */
+const RESOURCE_FORMATS = [
+    { format: 'general-notes', field: 'generalNotes', title: 'General Notes' },
+    { format: 'gherkin', field: 'gherkin', title: 'Gherkin Acceptance Criteria' },
+    { format: 'condensed', field: 'condensed', title: 'Condensed Acceptance Criteria' },
+    { format: 'developer-notes', field: 'developerNotes', title: 'Developer Notes' },
+    { format: 'ios-notes', field: 'iosDeveloperNotes', title: 'iOS Developer Notes' },
+    { format: 'android-notes', field: 'androidDeveloperNotes', title: 'Android Developer Notes' }
+];
+
+const PLATFORM_LABELS = {
+    web: 'Web',
+    native: 'Native',
+    'how-to-test': 'How to Test'
+};
+
+/**
+ * Error thrown for URIs that don't name a resource; carries the JSON-RPC error code,
+ * with the tool error code (NOT_FOUND or NO_FORMAT) in data.code
+ */
+export class ResourceNotFoundError extends Error {
+    constructor(uri, code = ERROR_CODES.NOT_FOUND) {
+        super(`Resource not found: ${uri}`);
+        this.name = 'ResourceNotFoundError';
+        this.code = RESOURCE_NOT_FOUND;
+        this.data = { code, uri };
+    }
+}
+
+/**
+ * Build a resource URI
+ * @param {string} platform - 'web', 'native' or 'how-to-test'
+ * @param {string} category - Category slug (e.g., 'component')
+ * @param {string} component - Component slug (e.g., 'button')
+ * @param {string} [format] - Format slug (e.g., 'gherkin'); omit for the overview
+ * @returns {string} Resource URI
+ */
+export function resourceUri(platform, category, component, format = null) {
+    const path = [platform, category, component, format].filter(Boolean).join('/');
+    return `${RESOURCE_SCHEME}://${path}`;
+}
+
+/**
+ * Split a resource URI into its parts
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} { platform, category, component, format } or null if not a magentaa11y URI
+ */
+export function parseResourceUri(uri) {
+    const match = (uri || '').match(new RegExp(`^${RESOURCE_SCHEME}://([^/?#]+)/([^/?#]+)/([^/?#]+)(?:/([^/?#]+))?/?$`));
+    if (!match) {
+        return null;
+    }
+    const [, platform, category, component, format = null] = match.map(part => part && decodeURIComponent(part));
+    return { platform, category, component, format };
+}
+
+/**
+ * Every resource, in content order
+ */
+function allResources() {
+    const content = loadContent();
+    const resources = [];
+
+    for (const [platform, categories] of Object.entries(content)) {
+        const platformLabel = PLATFORM_LABELS[platform] || platform;
+
+        for (const category of categories) {
+            for (const component of category.children || []) {
+                resources.push({
+                    uri: resourceUri(platform, category.name, component.name),
+                    name: `${platform}/${category.name}/${component.name}`,
+                    title: `${component.label} (${platformLabel})`,
+                    description: `All MagentaA11y content for ${component.label}`,
+                    mimeType: 'text/markdown'
+                });
+
+                for (const { format, field, title } of RESOURCE_FORMATS) {
+                    if (!component[field]) continue;
+                    resources.push({
+                        uri: resourceUri(platform, category.name, component.name, format),
+                        name: `${platform}/${category.name}/${component.name}/${format}`,
+                        title: `${component.label} (${platformLabel}): ${title}`,
+                        mimeType: 'text/markdown'
+                    });
+                }
+            }
+        }
+    }
+
+    return resources;
+}
+
+/**
+ * List resources, one page at a time
+ * @param {string} [cursor] - Opaque cursor from a previous page
+ * @returns {Object} { resources, nextCursor? }
+ */
+export function listResources(cursor = null) {
+    const resources = allResources();
+    const start = cursor ? Number(Buffer.from(cursor, 'base64').toString('utf8')) || 0 : 0;
+    const page = resources.slice(start, start + PAGE_SIZE);
+    const end = start + page.length;
+
+    return end < resources.length
+        ? { resources: page, nextCursor: Buffer.from(String(end)).toString('base64') }
+        : { resources: page };
+}
+
+/**
+ * URI templates clients can fill in (RFC 6570)
+ */
+export const resourceTemplates = [
+    {
+        uriTemplate: `${RESOURCE_SCHEME}://{platform}/{category}/{component}`,
+        name: 'component',
+        title: 'Component overview',
+        description: 'All MagentaA11y content for a component. platform is web, native or how-to-test; category and component are slugs (e.g., web/component/button).',
+        mimeType: 'text/markdown'
+    },
+    {
+        uriTemplate: `${RESOURCE_SCHEME}://{platform}/{category}/{component}/{format}`,
+        name: 'component-format',
+        title: 'Component content format',
+        description: `One content format for a component. format is one of: ${RESOURCE_FORMATS.map(f => f.format).join(', ')}.`,
+        mimeType: 'text/markdown'
+    }
+];
+
+/**
+ * Read a resource
+ * @param {string} uri - Resource URI
+ * @returns {Object} { contents: [{ uri, mimeType, text }] }
+ * @throws {ResourceNotFoundError} If the URI doesn't name a resource
+ */
+export function readResource(uri) {
+    const parts = parseResourceUri(uri);
+    if (!parts) {
+        throw new ResourceNotFoundError(uri);
+    }
+
+    // URIs are exact; fuzzy matching is left to the tools
+    const component = findComponent(parts.platform, parts.component);
+    if (!component || component.name !== parts.component || component.categoryName !== parts.category) {
+        throw new ResourceNotFoundError(uri);
+    }
+
+    const platformLabel = PLATFORM_LABELS[parts.platform] || parts.platform;
+    let text;
+
+    if (parts.format) {
+        const format = RESOURCE_FORMATS.find(f => f.format === parts.format);
+        if (!format) {
+            throw new ResourceNotFoundError(uri);
+        }
+        if (!component[format.field]) {
+            throw new ResourceNotFoundError(uri, ERROR_CODES.NO_FORMAT);
+        }
+        text = `# ${component.label} (${platformLabel}): ${format.title}\n\n${component[format.field]}`;
+    } else {
+        text = `# ${component.label} (${platformLabel})\n\n`;
+        text += `**Category:** ${component.category}\n\n`;
+        for (const { format, field, title } of RESOURCE_FORMATS) {
+            if (!component[field]) continue;
+            text += `## ${title}\n\n`;
+            text += `_Resource: ${resourceUri(parts.platform, parts.category, component.name, format)}_\n\n`;
+            text += `${component[field]}\n\n`;
+        }
+    }
+
+    // Site-relative videos, live examples and links become magentaa11y.com URLs
+    const pageUrl = parts.platform === 'how-to-test' ? null : getComponentUrl(parts.platform, component);
+    return {
+        contents: [{ uri, mimeType: 'text/markdown', text: renderContent(text, { pageUrl }) }]
+    };
+}
@@ -0,0 +1,324 @@
+/**
+ * Full-text Search Engine
+ * Inverted index with tokenization, light stemming, BM25F ranking across
+ * weighted fields, AND/OR queries, quoted phrases and highlighted snippets
+ */
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+// Characters of context shown on each side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Words ignored in unquoted query terms (still indexed so phrases can use them)
+ */
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in',
+    'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+]);
+
+/**
+ * Reduce a lowercase word to its stem
+ * Deliberately light: plurals, -ing, -ed, -ly and a final -e, so that "buttons" finds
+ * "button" and "focusing" finds "focus" without mangling ARIA attribute names
+ * @param {string} word - Lowercase token
+ * @returns {string} Stemmed token
+ */
+export function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) {
+        return word;
+    }
+
+    let w = word;
+    if (w.endsWith('ies') && w.length > 4) {
+        w = w.slice(0, -3) + 'y';
+    } else if (w.endsWith('sses')) {
+        w = w.slice(0, -2);
+    } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+        w = w.slice(0, -1);
+    }
+
+    if (w.endsWith('ing') && w.length > 5) {
+        w = w.slice(0, -3);
+    } else if (w.endsWith('ed') && w.length > 4) {
+        w = w.slice(0, -2);
+    } else if (w.endsWith('ly') && w.length > 4) {
+        w = w.slice(0, -2);
+    }
+
+    // "requires"/"required" -> "requir"
+    if (w.endsWith('e') && w.length > 4) {
+        w = w.slice(0, -1);
+    }
+
+    // "dimmed" -> "dimm" -> "dim", "tabbing" -> "tabb" -> "tab"
+    if (w.length > 3 && /([^aeiouls])\1$/.test(w)) {
+        w = w.slice(0, -1);
+    }
+
+    return w;
+}
+
+/**
+ * Split text into tokens with their character offsets
+ * @param {string} text - Raw text (markdown, HTML or plain)
+ * @returns {Array} Tokens as { term, start, end } where term is stemmed
+ */
+export function tokenize(text) {
+    const tokens = [];
+    if (!text) return tokens;
+
+    const pattern = /[a-z0-9]+/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({
+            term: stem(match[0].toLowerCase()),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Parse a query string into OR-separated clauses of required terms and phrases
+ * - Unquoted words are ANDed: `focus trap modal`
+ * - Uppercase OR separates alternatives: `toast OR snackbar`
+ * - Double quotes match an exact phrase: `"focus trap"`; so do joined words like `aria-label`
+ * Any other punctuation is treated as a word separator, so raw user input is always safe.
+ * @param {string} query - Raw query
+ * @returns {Array} Clauses as arrays of { terms, phrase } items
+ */
+export function parseQuery(query) {
+    const clauses = [[]];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+        if (match[2] === 'OR') {
+            if (clauses[clauses.length - 1].length > 0) {
+                clauses.push([]);
+            }
+            continue;
+        }
+        if (match[2] === 'AND') {
+            continue;
+        }
+
+        const isPhrase = match[1] !== undefined;
+        const terms = tokenize(isPhrase ? match[1] : match[2]).map(t => t.term);
+
+        // Quoted text and joined words such as `aria-label` are both phrases
+        if (terms.length > 1) {
+            clauses[clauses.length - 1].push({ terms, phrase: true });
+        } else {
+            for (const term of terms) {
+                if (isPhrase || !STOPWORDS.has(term)) {
+                    clauses[clauses.length - 1].push({ terms: [term], phrase: false });
+                }
+            }
+        }
+    }
+
+    return clauses.filter(clause => clause.length > 0);
+}
+
+/**
+ * Build an inverted index over a list of documents
+ * @param {Array} documents - Objects to index; each must have the listed fields as strings (or empty)
+ * @param {Array} fields - Fields to index as { field, weight }
+ * @returns {Object} Search index for querySearchIndex
+ */
+export function buildSearchIndex(documents, fields) {
+    const postings = new Map();
+    const fieldLengths = documents.map(() => ({}));
+    const totalLengths = {};
+
+    documents.forEach((doc, docId) => {
+        for (const { field } of fields) {
+            const value = doc[field];
+            const tokens = typeof value === 'string' ? tokenize(value) : [];
+            fieldLengths[docId][field] = tokens.length;
+            totalLengths[field] = (totalLengths[field] || 0) + tokens.length;
+
+            tokens.forEach((token, position) => {
+                if (!postings.has(token.term)) {
+                    postings.set(token.term, new Map());
+                }
+                const docPostings = postings.get(token.term);
+                if (!docPostings.has(docId)) {
+                    docPostings.set(docId, {});
+                }
+                const fieldPositions = docPostings.get(docId);
+                if (!fieldPositions[field]) {
+                    fieldPositions[field] = [];
+                }
+                fieldPositions[field].push(position);
+            });
+        }
+    });
+
+    const averageLengths = {};
+    for (const { field } of fields) {
+        averageLengths[field] = documents.length ? (totalLengths[field] || 0) / documents.length : 0;
+    }
+
+    return { documents, fields, postings, fieldLengths, averageLengths };
+}
+
+/**
+ * Fields of a document in which every term of a phrase appears consecutively
+ */
+function phraseFields(index, docId, terms) {
+    const first = index.postings.get(terms[0])?.get(docId);
+    if (!first) return [];
+
+    const matched = [];
+    for (const [field, positions] of Object.entries(first)) {
+        const found = positions.some(start => terms.every((term, offset) => {
+            const termPositions = index.postings.get(term)?.get(docId)?.[field];
+            return termPositions && termPositions.includes(start + offset);
+        }));
+        if (found) {
+            matched.push(field);
+        }
+    }
+    return matched;
+}
+
+/**
+ * Fields of a document matching one query item, or an empty array
+ */
+function itemFields(index, docId, item) {
+    if (item.phrase) {
+        return phraseFields(index, docId, item.terms);
+    }
+    const docPostings = index.postings.get(item.terms[0])?.get(docId);
+    return docPostings ? Object.keys(docPostings) : [];
+}
+
+/**
+ * BM25F score of a single term for one document
+ */
+function termScore(index, docId, term) {
+    const docPostings = index.postings.get(term);
+    const fieldPositions = docPostings?.get(docId);
+    if (!fieldPositions) return 0;
+
+    let weightedTf = 0;
+    for (const { field, weight } of index.fields) {
+        const tf = fieldPositions[field]?.length || 0;
+        if (tf === 0) continue;
+        const avg = index.averageLengths[field] || 1;
+        const norm = 1 - B + B * (index.fieldLengths[docId][field] / avg);
+        weightedTf += weight * tf / norm;
+    }
+
+    const n = index.documents.length;
+    const df = docPostings.size;
+    const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    return idf * (weightedTf * (K1 + 1)) / (weightedTf + K1);
+}
+
+/**
+ * Run a query against a search index
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Raw query string (see parseQuery)
+ * @returns {Array} Hits as { docId, score, matchedFields, terms, phrases } sorted by score descending
+ */
+export function querySearchIndex(index, query) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) return [];
+
+    const hits = new Map();
+
+    for (const clause of clauses) {
+        // Candidate documents must contain every term of the clause
+        let candidates = null;
+        for (const item of clause) {
+            for (const term of item.terms) {
+                const docs = new Set(index.postings.get(term)?.keys() || []);
+                candidates = candidates === null
+                    ? docs
+                    : new Set([...candidates].filter(docId => docs.has(docId)));
+            }
+        }
+
+        for (const docId of candidates || []) {
+            const matchedFields = new Set();
+            let matchesAll = true;
+
+            for (const item of clause) {
+                const fields = itemFields(index, docId, item);
+                if (fields.length === 0) {
+                    matchesAll = false;
+                    break;
+                }
+                fields.forEach(f => matchedFields.add(f));
+            }
+            if (!matchesAll) continue;
+
+            const terms = [...new Set(clause.flatMap(item => item.terms))];
+            const phrases = clause.filter(item => item.phrase).map(item => item.terms);
+            let score = terms.reduce((sum, term) => sum + termScore(index, docId, term), 0);
+            // Phrase matches rank above scattered terms
+            score *= 1 + 0.5 * phrases.length;
+
+            const existing = hits.get(docId);
+            if (!existing || existing.score < score) {
+                hits.set(docId, {
+                    docId,
+                    score,
+                    matchedFields: index.fields.map(f => f.field).filter(f => matchedFields.has(f)),
+                    terms,
+                    phrases
+                });
+            }
+        }
+    }
+
+    return [...hits.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Build a short snippet around the first match in a text, with matches in **bold**
+ * The snippet is centred on the first phrase occurrence when there is one.
+ * @param {string} text - Field text
+ * @param {Array} terms - Stemmed query terms
+ * @param {Array} [phrases=[]] - Stemmed phrases (arrays of terms)
+ * @returns {string|null} Snippet or null if no term appears in the text
+ */
+export function buildSnippet(text, terms, phrases = []) {
+    if (!text) return null;
+
+    const tokens = tokenize(text);
+    const wanted = new Set(terms);
+    const matches = tokens.filter(t => wanted.has(t.term));
+    if (matches.length === 0) return null;
+
+    let anchor = matches[0];
+    for (const phrase of phrases) {
+        const at = tokens.findIndex((_, i) => phrase.every((term, offset) => tokens[i + offset]?.term === term));
+        if (at !== -1) {
+            anchor = tokens[at];
+            break;
+        }
+    }
+
+    const from = Math.max(0, anchor.start - SNIPPET_RADIUS);
+    const to = Math.min(text.length, anchor.end + SNIPPET_RADIUS);
+
+    let snippet = '';
+    let cursor = from;
+    for (const m of matches) {
+        if (m.start < from || m.end > to) continue;
+        snippet += text.slice(cursor, m.start) + `**${text.slice(m.start, m.end)}**`;
+        cursor = m.end;
+    }
+    snippet += text.slice(cursor, to);
+    snippet = snippet.replace(/\s+/g, ' ').trim();
+
+    return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
+}
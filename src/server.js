@@ -0,0 +1,179 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ErrorCode,
+  McpError
+} from '@modelcontextprotocol/sdk/types.js';
+import { tools, renderResponse } from './tools.js';
+import { listResources, resourceTemplates, readResource, parseResourceUri } from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+import { validateArguments } from './validation.js';
+import { ERROR_CODES, errorResponse, withErrorOutput } from './errors.js';
+import { paginateResponse } from './pagination.js';
+
+/**
+ * Server name and version reported during initialization and by the HTTP health check
+ */
+export const SERVER_INFO = {
+  name: 'test-mcp-hatchery-build',
+  version: '1.0.0',
+};
+
+/**
+ * Capabilities advertised by every transport
+ */
+export const SERVER_CAPABILITIES = {
+  tools: {},
+  resources: {},
+  prompts: {},
+};
+
+/**
+ * Extra capabilities of a server whose content can be reloaded while clients are connected
+ */
+const LIVE_CONTENT_CAPABILITIES = {
+  tools: { listChanged: true },
+  resources: { subscribe: true, listChanged: true },
+};
+
+// Resource URIs each live-content server's client has subscribed to
+const subscriptions = new WeakMap();
+
+/**
+ * Register a request handler that reports malformed params as -32602 (Invalid params)
+ * The SDK validates params before calling a handler and would report failures as -32603
+ * (Internal error), so the handler is registered with a schema that only checks the
+ * method, and the full schema is checked here instead.
+ */
+function setRequestHandler(server, requestSchema, handler) {
+  const methodSchema = requestSchema.pick({ method: true }).passthrough();
+  server.setRequestHandler(methodSchema, async (request, extra) => {
+    const parsed = requestSchema.safeParse(request);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'params'}: ${issue.message}`);
+      throw new McpError(ErrorCode.InvalidParams, `Invalid params for ${request.method}${issues.length ? `: ${issues.join('; ')}` : ''}`);
+    }
+    return handler(parsed.data, extra);
+  });
+}
+
+/**
+ * Create the MCP server with every tool, resource and prompt handler
+ * Shared by the stdio entry point and the HTTP transports so they behave identically.
+ * @param {Object} [options]
+ * @param {boolean} [options.liveContent=false] - Content may be reloaded while connected: advertise
+ *   list_changed notifications and accept resource subscriptions (see notifyContentChanged)
+ * @param {Object} [options.serverInfo=SERVER_INFO] - Name and version reported to clients
+ * @returns {Server} Configured server, not yet connected to a transport
+ */
+export function createServer({ liveContent = false, serverInfo = SERVER_INFO } = {}) {
+  const capabilities = liveContent ? { ...SERVER_CAPABILITIES, ...LIVE_CONTENT_CAPABILITIES } : SERVER_CAPABILITIES;
+  const server = new Server(serverInfo, { capabilities });
+
+  // Handler for listing available tools
+  setRequestHandler(server, ListToolsRequestSchema, async () => {
+    return {
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema,
+        outputSchema: withErrorOutput(tool.outputSchema)
+      }))
+    };
+  });
+
+  // Handler for calling tools
+  setRequestHandler(server, CallToolRequestSchema, async (request) => {
+    const tool = tools.find(t => t.name === request.params.name);
+
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${request.params.name}`, { code: ERROR_CODES.NOT_FOUND });
+    }
+
+    // Check arguments against the tool's inputSchema so handlers only see valid input
+    const { args, errors } = validateArguments(tool.inputSchema, request.params.arguments);
+    if (errors.length > 0) {
+      const code = errors.some(e => /^platforms?\b/.test(e.path)) ? ERROR_CODES.INVALID_PLATFORM : ERROR_CODES.INVALID_ARGUMENTS;
+      const problems = errors.map(e => `${e.path}: ${e.message}`);
+      return errorResponse(
+        code,
+        `Invalid arguments for ${tool.name}: ${problems.join('; ')}`,
+        { errors },
+        `Invalid arguments for ${tool.name}:\n${problems.map(p => `- ${p}`).join('\n')}`
+      );
+    }
+
+    let result = await tool.handler(args);
+    if (tool.rendered) {
+      result = renderResponse(result, args);
+    }
+    return tool.paginated ? paginateResponse(result, args, tool.paginated.contentFields) : result;
+  });
+
+  // Handlers for MagentaA11y content resources
+  setRequestHandler(server, ListResourcesRequestSchema, async (request) => {
+    return listResources(request.params?.cursor);
+  });
+
+  setRequestHandler(server, ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  setRequestHandler(server, ReadResourceRequestSchema, async (request) => {
+    return readResource(request.params.uri);
+  });
+
+  if (liveContent) {
+    const subscribed = new Set();
+    subscriptions.set(server, subscribed);
+
+    setRequestHandler(server, SubscribeRequestSchema, async (request) => {
+      subscribed.add(request.params.uri);
+      return {};
+    });
+
+    setRequestHandler(server, UnsubscribeRequestSchema, async (request) => {
+      subscribed.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  // Handlers for accessibility workflow prompts
+  setRequestHandler(server, ListPromptsRequestSchema, async () => {
+    return listPrompts();
+  });
+
+  setRequestHandler(server, GetPromptRequestSchema, async (request) => {
+    return getPrompt(request.params.name, request.params.arguments);
+  });
+
+  return server;
+}
+
+/**
+ * Tell a live-content server's client that the content was reloaded
+ * Tool and resource lists are always re-announced; subscribed resources are reported
+ * updated when their component was added, removed or changed.
+ * @param {Server} server - Server created with liveContent
+ * @param {Object} diff - Content diff ({ added, removed, changed }) from the reload
+ */
+export async function notifyContentChanged(server, diff) {
+  const touched = new Set([...diff.added, ...diff.removed, ...diff.changed].map(c => `${c.platform}/${c.name}`));
+
+  await server.sendToolListChanged();
+  await server.sendResourceListChanged();
+  for (const uri of subscriptions.get(server) || []) {
+    const parts = parseResourceUri(uri);
+    if (parts && touched.has(`${parts.platform}/${parts.component}`)) {
+      await server.sendResourceUpdated({ uri });
+    }
+  }
+}
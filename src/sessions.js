@@ -0,0 +1,235 @@
+/**
+ * Accessibility Test Sessions
+ * Turns components' gherkin or condensed criteria into a checklist of steps, records a
+ * pass/fail/na result per step, and keeps sessions in a local JSON store so a tester
+ * (or an agent) can pick up where the last run stopped
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { getStructuredCriteria } from './helpers.js';
+
+// Environment variable naming the session store file (default: data/sessions.json)
+export const SESSIONS_PATH_ENV = 'MCP_SESSIONS_PATH';
+
+// Results a step can be recorded with
+export const RESULT_STATUSES = ['pass', 'fail', 'na'];
+
+// Criteria formats a session can be built from
+export const SESSION_FORMATS = ['gherkin', 'condensed'];
+
+// Write errors meaning the store's location is read-only
+const NOT_WRITABLE_CODES = ['EACCES', 'EPERM', 'EROFS'];
+
+// Store used when MCP_SESSIONS_PATH is unset; null means data/sessions.json in the package
+let defaultStorePath = null;
+
+/**
+ * Use another store when MCP_SESSIONS_PATH is unset, e.g. under os.tmpdir() where the
+ * package directory is read-only (Netlify Functions)
+ * @param {string} path - Path of the session store file
+ */
+export function setDefaultSessionsPath(path) {
+    defaultStorePath = path;
+}
+
+/**
+ * Path of the session store
+ * Resolved on each call so MCP_SESSIONS_PATH can be set after startup (and in tests).
+ */
+function storePath() {
+    return process.env[SESSIONS_PATH_ENV] || defaultStorePath || fileURLToPath(new URL('../data/sessions.json', import.meta.url));
+}
+
+/**
+ * Read every saved session
+ * @returns {Object} Store as { sessions: [] }
+ */
+function readStore() {
+    const path = storePath();
+    if (!existsSync(path)) {
+        return { sessions: [] };
+    }
+    const store = JSON.parse(readFileSync(path, 'utf8'));
+    return { sessions: Array.isArray(store.sessions) ? store.sessions : [] };
+}
+
+/**
+ * Save every session, replacing the store in one rename so a crash can't leave it half written
+ * @throws {Error} If the store's location is read-only, naming MCP_SESSIONS_PATH as the fix
+ */
+function writeStore(store) {
+    const path = storePath();
+    const temp = `${path}.${process.pid}.tmp`;
+    try {
+        mkdirSync(dirname(path), { recursive: true });
+        writeFileSync(temp, `${JSON.stringify(store, null, 2)}\n`);
+        renameSync(temp, path);
+    } catch (error) {
+        if (NOT_WRITABLE_CODES.includes(error.code)) {
+            throw new Error(`session store ${path} is not writable; set ${SESSIONS_PATH_ENV} to a writable file`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Checklist steps for one component
+ * Sections naming other assistive tech than the session's are left out; sections naming
+ * none (keyboard, device settings) always apply.
+ */
+function componentSteps(criteria, assistiveTech) {
+    return criteria.sections
+        .filter(section => !assistiveTech || section.assistiveTech.length === 0 || section.assistiveTech.includes(assistiveTech))
+        .flatMap(section => section.steps.map(step => ({
+            id: `${criteria.component}/${step.id}`,
+            component: criteria.component,
+            section: section.number,
+            sectionTitle: section.title,
+            action: step.action,
+            expected: step.expected.map(e => e.text),
+            assistiveTech: section.assistiveTech
+        })));
+}
+
+/**
+ * Step counts by result, with steps not yet recorded as pending
+ */
+function countResults(steps, results) {
+    const totals = { steps: steps.length, pass: 0, fail: 0, na: 0, pending: 0 };
+    for (const step of steps) {
+        totals[results[step.id]?.status || 'pending']++;
+    }
+    return totals;
+}
+
+/**
+ * Session fields listed without its steps and results
+ */
+function sessionInfo(session) {
+    const { id, name, platform, format, assistiveTech, createdAt, updatedAt } = session;
+    return { id, name, platform, format, assistiveTech, createdAt, updatedAt };
+}
+
+/**
+ * Start a test session and save it
+ * @param {string} platform - 'web' or 'native'
+ * @param {Object[]} components - Resolved component objects to test
+ * @param {Object} [options]
+ * @param {string} [options.format='gherkin'] - 'gherkin' or 'condensed'
+ * @param {string} [options.assistiveTech] - Canonical assistive tech name (e.g., 'VoiceOver')
+ * @param {string} [options.name] - Label for the session (e.g., 'Checkout daily pass')
+ * @returns {Object} { session, skipped } - skipped lists components without criteria in that format
+ */
+export function createTestSession(platform, components, { format = 'gherkin', assistiveTech = null, name = null } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+        id: `session-${now.slice(0, 10).replace(/-/g, '')}-${randomBytes(3).toString('hex')}`,
+        name,
+        platform,
+        format,
+        assistiveTech,
+        createdAt: now,
+        updatedAt: now,
+        components: [],
+        steps: [],
+        results: {}
+    };
+    const skipped = [];
+
+    for (const component of components) {
+        const criteria = getStructuredCriteria(platform, component.name, format);
+        const steps = criteria ? componentSteps(criteria, assistiveTech) : [];
+        if (steps.length === 0) {
+            skipped.push(component.name);
+            continue;
+        }
+        session.components.push({
+            name: component.name,
+            label: component.label,
+            category: component.category,
+            categoryName: component.categoryName
+        });
+        session.steps.push(...steps);
+    }
+
+    if (session.steps.length > 0) {
+        const store = readStore();
+        store.sessions.push(session);
+        writeStore(store);
+    }
+    return { session, skipped };
+}
+
+/**
+ * Find a saved session
+ * @param {string} id - Session id
+ * @returns {Object|null} Session or null if there is none with that id
+ */
+export function getTestSession(id) {
+    return readStore().sessions.find(session => session.id === id) || null;
+}
+
+/**
+ * Saved sessions, most recently updated first, with their progress
+ * @returns {Object[]} Sessions as { id, name, platform, format, assistiveTech, createdAt, updatedAt, components, totals }
+ */
+export function listTestSessions() {
+    return readStore().sessions
+        .map(session => ({
+            ...sessionInfo(session),
+            components: session.components.map(c => c.name),
+            totals: countResults(session.steps, session.results)
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Record the result of one step; recording a step again replaces its result
+ * @param {string} id - Session id
+ * @param {string} stepId - Step id (e.g., 'button/2.3')
+ * @param {string} status - 'pass', 'fail' or 'na'
+ * @param {string} [notes] - What the tester observed
+ * @returns {Object|null} { session, step, result } (step and result null when the session has
+ *   no such step), or null if the session doesn't exist
+ */
+export function recordTestResult(id, stepId, status, notes = null) {
+    const store = readStore();
+    const session = store.sessions.find(s => s.id === id);
+    if (!session) {
+        return null;
+    }
+    const step = session.steps.find(s => s.id === stepId) || null;
+    if (!step) {
+        return { session, step: null, result: null };
+    }
+
+    const now = new Date().toISOString();
+    const result = { status, notes, recordedAt: now };
+    session.results[stepId] = result;
+    session.updatedAt = now;
+    writeStore(store);
+    return { session, step, result };
+}
+
+/**
+ * Progress of a session: totals overall and per component, failures and the steps left
+ * @param {Object} session - Session from getTestSession or recordTestResult
+ * @returns {Object} { ...session info, totals, components, failures, pending }
+ */
+export function summarizeTestSession(session) {
+    const withResult = step => ({ ...step, ...(session.results[step.id] || { status: 'pending', notes: null, recordedAt: null }) });
+
+    return {
+        ...sessionInfo(session),
+        totals: countResults(session.steps, session.results),
+        components: session.components.map(component => ({
+            ...component,
+            totals: countResults(session.steps.filter(step => step.component === component.name), session.results)
+        })),
+        failures: session.steps.map(withResult).filter(step => step.status === 'fail'),
+        pending: session.steps.filter(step => !session.results[step.id])
+    };
+}
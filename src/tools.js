@@ -1,36 +1,670 @@
 /**
  * MCP Tool Definitions for MagentaA11y Accessibility Criteria
- * Provides 11 tools for querying web and native accessibility criteria
+ * Provides tools for querying web and native accessibility criteria
+ * and the how-to-test guides
  * Used by both stdio (local) and HTTP (Netlify) transports
  */
 import {
     loadContent,
     listComponents,
     findComponent,
+    resolveComponent,
     searchComponents,
     listComponentFormats,
     formatComponentOutput,
-    listCategories
+    listCategories,
+    listTestingGuides,
+    findTestingGuide,
+    searchTestingGuides,
+    getRelatedTestingGuides,
+    extractWcagCriteria,
+    listWcagCriteria,
+    getComponentsForWcag,
+    getStructuredCriteria,
+    getCodeExamples,
+    getComponentVideos,
+    getComponentUrl,
+    estimateTokens,
+    ASSISTIVE_TECH_NAMES,
+    RENDER_FORMATS,
+    renderContent
 } from './helpers.js';
+import { toFeatureFile, featureFilePath, toStoryChecklist } from './exporters.js';
+import { auditHtml } from './audit.js';
+import { findCounterpart, compareAcrossPlatforms } from './compare.js';
+import { CHANGE_SECTIONS, getContentChanges, listContentUpdates } from './changes.js';
+import { SOURCE_LABELS, sectionSource, componentSources } from './overlay.js';
+import {
+    RESULT_STATUSES,
+    SESSION_FORMATS,
+    createTestSession,
+    getTestSession,
+    listTestSessions,
+    recordTestResult,
+    summarizeTestSession
+} from './sessions.js';
+import { PAGINATION_INPUT_PROPERTIES, pagedOutput } from './pagination.js';
+import { ERROR_CODES, errorResponse, internalErrorResponse } from './errors.js';
 
 /**
- * Helper to create text response
+ * Helper to explain why a component lookup failed
+ * Lists the alternatives when the name was ambiguous (AMBIGUOUS), or "Did you mean"
+ * suggestions otherwise (NOT_FOUND); both are also attached as structured suggestions
  */
-function textResponse(text) {
-    return {
-        content: [{ type: 'text', text }]
-    };
+function componentNotFoundResponse(platform, componentName, notFoundMessage) {
+    const { ambiguous, alternatives } = resolveComponent(platform, componentName);
+    const suggestions = alternatives.slice(0, 5).map(({ name, label, category, categoryName }) => ({ name, label, category, categoryName }));
+    const options = suggestions.map(s => `- ${s.label} (\`${s.name}\`)`).join('\n');
+    const details = { platform, component: componentName, suggestions };
+    
+    if (ambiguous) {
+        const message = `"${componentName}" matches several ${platform} components.`;
+        return errorResponse(ERROR_CODES.AMBIGUOUS, message, details, `${message} Please choose one:\n${options}`);
+    }
+    
+    let text = notFoundMessage;
+    if (suggestions.length > 0) {
+        text += `\n\nDid you mean:\n${options}`;
+    }
+    return errorResponse(ERROR_CODES.NOT_FOUND, notFoundMessage, details, text);
+}
+
+/**
+ * Helper for a category filter that matched nothing; lists the platform's categories
+ */
+function categoryNotFoundResponse(platform, category) {
+    const categories = listCategories(platform);
+    const message = `No components found in category "${category}".`;
+    return errorResponse(
+        ERROR_CODES.NOT_FOUND,
+        message,
+        { platform, category, suggestions: categories.map(c => ({ name: c.name, label: c.label })) },
+        `${message}\n\nAvailable categories:\n${categories.map(c => `- ${c.label} (${c.name}): ${c.componentCount} components`).join('\n')}`
+    );
+}
+
+/**
+ * Helper for a component that exists but lacks the requested content
+ */
+function noFormatResponse(platform, component, format, message) {
+    const { formats } = listComponentFormats(platform, component.name);
+    const available = Object.keys(formats).filter(key => formats[key]);
+    return errorResponse(ERROR_CODES.NO_FORMAT, message, { platform, component: component.name, format, available });
+}
+
+/**
+ * Helper to render the related how-to-test guides section
+ */
+function relatedGuidesSection(platform, componentName) {
+    const guides = getRelatedTestingGuides(platform, componentName);
+    if (guides.length === 0) {
+        return '';
+    }
+    
+    let output = `## Related Testing Guides\n`;
+    for (const guide of guides) {
+        output += `- **${guide.label}** (\`${guide.name}\`)\n`;
+    }
+    output += `\n*Use \`get_testing_guide\` for the full guide.*\n\n`;
+    return output;
+}
+
+/**
+ * Helper to render the WCAG success criteria section
+ */
+function wcagSection(criteria) {
+    if (!criteria || criteria.length === 0) {
+        return '';
+    }
+    
+    let output = `## WCAG Success Criteria\n`;
+    for (const sc of criteria) {
+        output += `- [${sc.number} ${sc.name}](${sc.url}) (Level ${sc.level}, WCAG ${sc.version})`;
+        if (sc.inferred) {
+            output += ' *(inferred from acceptance criteria)*';
+        }
+        output += '\n';
+    }
+    output += '\n';
+    return output;
 }
 
 /**
  * Helper to create JSON response
+ * The data is returned both as text and as structuredContent.
  */
 function jsonResponse(data) {
     return {
-        content: [{ type: 'text', text: JSON.stringify(data, null, 2) }]
+        content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+        structuredContent: data
+    };
+}
+
+/**
+ * Helper to create a response with markdown text and matching structuredContent
+ */
+function structuredResponse(text, data) {
+    return {
+        content: [{ type: 'text', text }],
+        structuredContent: data
+    };
+}
+
+/**
+ * Component identity used in list results: { name, label, category, categoryName }
+ */
+function componentSummary(component) {
+    return {
+        name: component.name,
+        label: component.label,
+        category: component.category,
+        categoryName: component.categoryName
+    };
+}
+
+/**
+ * Helper to fit text into a markdown table cell
+ */
+function tableCell(text) {
+    return text ? text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ') : '—';
+}
+
+/**
+ * Helper to render the "equivalent on the other platform" line, or '' if there is none
+ */
+function counterpartLine(platform, componentName) {
+    const counterpart = findCounterpart(platform, componentName);
+    if (!counterpart) {
+        return '';
+    }
+    const label = counterpart.platform === 'web' ? 'Web' : 'Native';
+    return `**${label} equivalent:** ${counterpart.component.label} (\`${counterpart.component.name}\`); compare with \`compare_component_across_platforms\`\n`;
+}
+
+/**
+ * Helper to describe a section source, e.g. "MagentaA11y + org overlay (toast-snackbar.md)"
+ */
+function describeSource({ origin, overlays }) {
+    return overlays.length > 0 ? `${SOURCE_LABELS[origin]} (${overlays.join(', ')})` : SOURCE_LABELS[origin];
+}
+
+/**
+ * Helper to describe where a component's section came from
+ */
+function sourceText(component, field) {
+    return describeSource(sectionSource(component, field));
+}
+
+/**
+ * Helper to render a section's source line, or '' for components no overlay touched
+ */
+function sourceLine(component, field) {
+    return component.overlays ? `*Source: ${sourceText(component, field)}*\n\n` : '';
+}
+
+/**
+ * Helper to render the source of a single-section tool's content, or '' for components no overlay touched
+ */
+function sourceHeader(component, field) {
+    return component.overlays ? `**Source:** ${sourceText(component, field)}\n` : '';
+}
+
+/**
+ * Helper to render the "org-specific" line, or '' for MagentaA11y components
+ */
+function orgSpecificLine(component) {
+    return component.orgSpecific ? `**Org-specific:** yes (${(component.overlays || []).join(', ')})\n` : '';
+}
+
+/**
+ * Helper to list a search result's matched fields, noting those that came from an overlay
+ */
+function matchedFieldsText(result) {
+    return result.matchedFields
+        .map(field => {
+            const origin = result.sources[field]?.origin;
+            return origin && origin !== 'magentaa11y' ? `${field} (${SOURCE_LABELS[origin]})` : field;
+        })
+        .join(', ');
+}
+
+// Pending steps listed after record_result (all are in get_session_summary)
+const NEXT_STEPS_SHOWN = 3;
+
+/**
+ * Helper to render one test session step: id, action and expected outcomes
+ */
+function sessionStepLine(step) {
+    const expected = step.expected.length > 0 ? ` → ${step.expected.join('; ')}` : '';
+    return `\`${step.id}\` ${step.action || ''}${expected}`.trim();
+}
+
+/**
+ * Helper to render test session steps grouped by component and section
+ */
+function sessionStepsText(session, steps) {
+    let output = '';
+    let component = null;
+    let section = null;
+    for (const step of steps) {
+        if (step.component !== component) {
+            component = step.component;
+            section = null;
+            const { label, name } = session.components.find(c => c.name === component);
+            output += `\n## ${label} (\`${name}\`)\n`;
+        }
+        if (step.section !== section) {
+            section = step.section;
+            output += `\n### ${step.section}. ${step.sectionTitle}\n`;
+        }
+        output += `- ${sessionStepLine(step)}\n`;
+    }
+    return output;
+}
+
+/**
+ * Helper to render a session's progress line
+ */
+function sessionProgress(totals) {
+    const recorded = totals.steps - totals.pending;
+    return `${recorded} of ${totals.steps} steps recorded (${totals.pass} pass, ${totals.fail} fail, ${totals.na} n/a); ${totals.pending} pending`;
+}
+
+/**
+ * Helper to render a session's platform, criteria and assistive tech line
+ */
+function sessionSetup(session) {
+    return `**Platform:** ${session.platform} | **Criteria:** ${session.format} | **Assistive tech:** ${session.assistiveTech || 'any'}\n`;
+}
+
+/**
+ * Helper for the NOT_FOUND result of an unknown session id
+ */
+function sessionNotFoundResponse(sessionId) {
+    return errorResponse(
+        ERROR_CODES.NOT_FOUND,
+        `Test session "${sessionId}" not found. Use list_test_sessions to find saved sessions.`,
+        { argument: 'session_id' }
+    );
+}
+
+// Changed lines listed per section in get_content_changes text (all are in structuredContent)
+const CHANGED_LINES_SHOWN = 10;
+
+/**
+ * Sections of get_web_component / get_native_component output, in display order
+ */
+const COMPONENT_SECTIONS = {
+    web: ['overview', 'condensed', 'gherkin', 'wcag', 'testing_guides', 'developer_notes'],
+    native: ['overview', 'condensed', 'gherkin', 'wcag', 'testing_guides', 'ios_notes', 'android_notes', 'developer_notes']
+};
+
+/**
+ * Sections requested for a component, honoring include_code_examples: false
+ */
+function selectedSections(platform, args) {
+    const all = COMPONENT_SECTIONS[platform];
+    let sections = args.sections && args.sections.length > 0 ? all.filter(s => args.sections.includes(s)) : all;
+    if (args.include_code_examples === false) {
+        sections = sections.filter(s => !s.endsWith('_notes'));
+    }
+    return new Set(sections);
+}
+
+/**
+ * Full component details for get_web_component / get_native_component
+ * Fields for sections that weren't requested are null (or empty lists).
+ */
+function componentDetail(platform, component, sections) {
+    const counterpart = findCounterpart(platform, component.name);
+    const field = (section, value) => (sections.has(section) && value) || null;
+    return {
+        platform,
+        ...componentSummary(component),
+        url: getComponentUrl(platform, component),
+        orgSpecific: !!component.orgSpecific,
+        sources: componentSources(component),
+        sections: [...sections],
+        generalNotes: field('overview', component.generalNotes),
+        condensed: field('condensed', component.condensed),
+        gherkin: field('gherkin', component.gherkin),
+        developerNotes: field('developer_notes', component.developerNotes),
+        iosDeveloperNotes: field('ios_notes', component.iosDeveloperNotes),
+        androidDeveloperNotes: field('android_notes', component.androidDeveloperNotes),
+        wcag: sections.has('wcag') ? extractWcagCriteria(component) : [],
+        relatedGuides: sections.has('testing_guides') ? getRelatedTestingGuides(platform, component.name) : [],
+        counterpart: counterpart ? { platform: counterpart.platform, ...componentSummary(counterpart.component) } : null
+    };
+}
+
+/**
+ * Search results for the search_* tools
+ */
+function searchResults(query, results) {
+    return {
+        query,
+        total: results.length,
+        results: results.map(({ name, label, category, categoryName, score, matchedFields, snippet, orgSpecific, sources }) => ({
+            name,
+            label,
+            category,
+            categoryName,
+            score,
+            matchedFields,
+            snippet,
+            orgSpecific,
+            sources
+        }))
+    };
+}
+
+/**
+ * Input schema property for tools that return MagentaA11y content as text
+ */
+const RENDER_INPUT_PROPERTIES = {
+    render: {
+        type: 'string',
+        enum: RENDER_FORMATS,
+        description: 'Text format: markdown, plain text or an HTML fragment (default: markdown). Embedded videos and live examples become magentaa11y.com links in every format',
+        default: 'markdown',
+    },
+};
+
+/**
+ * structuredContent fields holding MagentaA11y content, rendered like the text
+ */
+const RENDERED_FIELDS = ['generalNotes', 'condensed', 'gherkin', 'developerNotes', 'iosDeveloperNotes', 'androidDeveloperNotes', 'notes'];
+
+/**
+ * Render a content tool's text, and the content fields of its structuredContent, in the
+ * requested format (args.render). Live examples link to the component's page when the
+ * result names one. Error results and JSON output (format: 'json') are returned unchanged.
+ * @param {Object} response - Tool result
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Tool result with rendered text
+ */
+export function renderResponse(response, args) {
+    if (response.isError || args.format === 'json') {
+        return response;
+    }
+
+    const data = response.structuredContent;
+    let pageUrl = data?.url || null;
+    if (!pageUrl && data?.name && data?.categoryName) {
+        pageUrl = getComponentUrl(data.platform === 'web' ? 'web' : 'native', data);
+    }
+    const options = { format: args.render, pageUrl };
+
+    const structuredContent = data && { ...data };
+    for (const field of RENDERED_FIELDS) {
+        if (typeof structuredContent?.[field] === 'string') {
+            structuredContent[field] = renderContent(structuredContent[field], options);
+        }
+    }
+
+    const [first, ...rest] = response.content;
+    return {
+        ...response,
+        content: [{ ...first, text: renderContent(first.text, options) }, ...rest],
+        structuredContent
     };
 }
 
+// ============================================
+// Output Schemas
+// Shared pieces of the outputSchema declarations below
+// ============================================
+
+const STRING = { type: 'string' };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const STRING_ARRAY = { type: 'array', items: STRING };
+
+const COMPONENT_SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: STRING,
+        label: STRING,
+        category: { ...STRING, description: 'Category label' },
+        categoryName: { ...STRING, description: 'Category slug' }
+    },
+    required: ['name', 'label', 'category', 'categoryName']
+};
+
+const WCAG_SCHEMA = {
+    type: 'object',
+    properties: {
+        number: STRING,
+        name: STRING,
+        level: { type: 'string', enum: ['A', 'AA', 'AAA'] },
+        version: STRING,
+        principle: STRING,
+        url: STRING
+    },
+    required: ['number', 'name', 'level', 'url']
+};
+
+const COMPONENT_WCAG_SCHEMA = {
+    ...WCAG_SCHEMA,
+    properties: {
+        ...WCAG_SCHEMA.properties,
+        fields: { ...STRING_ARRAY, description: 'Content fields that reference or imply the criterion' },
+        inferred: { type: 'boolean', description: 'True when inferred from the criteria text rather than cited' }
+    }
+};
+
+const GUIDE_SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: { name: STRING, label: STRING },
+    required: ['name', 'label']
+};
+
+const SECTION_SOURCES_SCHEMA = {
+    type: 'object',
+    description: 'Where each non-empty section came from: "magentaa11y", "org" (an overlay) or "magentaa11y+org" (overlay text appended), with the overlay files',
+    additionalProperties: {
+        type: 'object',
+        properties: {
+            origin: { type: 'string', enum: Object.keys(SOURCE_LABELS) },
+            overlays: STRING_ARRAY
+        },
+        required: ['origin', 'overlays']
+    }
+};
+
+const ORG_SPECIFIC = { type: 'boolean', description: 'True for components added or flagged by an org overlay' };
+
+const COMPONENT_DETAIL_SCHEMA = {
+    type: 'object',
+    properties: {
+        platform: { type: 'string', enum: ['web', 'native'] },
+        ...COMPONENT_SUMMARY_SCHEMA.properties,
+        url: { ...STRING, description: 'Component page on magentaa11y.com' },
+        orgSpecific: ORG_SPECIFIC,
+        sources: SECTION_SOURCES_SCHEMA,
+        sections: { ...STRING_ARRAY, description: 'Sections included; fields for the others are null or empty' },
+        generalNotes: NULLABLE_STRING,
+        condensed: NULLABLE_STRING,
+        gherkin: NULLABLE_STRING,
+        developerNotes: NULLABLE_STRING,
+        iosDeveloperNotes: NULLABLE_STRING,
+        androidDeveloperNotes: NULLABLE_STRING,
+        wcag: { type: 'array', items: COMPONENT_WCAG_SCHEMA },
+        relatedGuides: { type: 'array', items: GUIDE_SUMMARY_SCHEMA },
+        counterpart: {
+            type: ['object', 'null'],
+            description: 'Same control on the other platform, if any',
+            properties: { platform: STRING, ...COMPONENT_SUMMARY_SCHEMA.properties }
+        }
+    },
+    required: ['platform', ...COMPONENT_SUMMARY_SCHEMA.required, 'url', 'orgSpecific', 'sources', 'wcag', 'relatedGuides']
+};
+
+// COMPONENT_DETAIL_SCHEMA fields left out when the text is paged
+const COMPONENT_DETAIL_CONTENT_FIELDS = [
+    'generalNotes',
+    'condensed',
+    'gherkin',
+    'developerNotes',
+    'iosDeveloperNotes',
+    'androidDeveloperNotes',
+    'wcag',
+    'relatedGuides'
+];
+
+const SEARCH_RESULTS_SCHEMA = {
+    type: 'object',
+    properties: {
+        query: STRING,
+        total: { type: 'integer' },
+        results: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    ...COMPONENT_SUMMARY_SCHEMA.properties,
+                    score: { type: 'number', description: 'BM25 relevance score' },
+                    matchedFields: STRING_ARRAY,
+                    snippet: NULLABLE_STRING,
+                    orgSpecific: ORG_SPECIFIC,
+                    sources: SECTION_SOURCES_SCHEMA
+                },
+                required: ['name', 'label', 'score', 'matchedFields']
+            }
+        }
+    },
+    required: ['query', 'total', 'results']
+};
+
+const COMPONENT_LIST_SCHEMA = {
+    type: 'object',
+    properties: {
+        platform: STRING,
+        category: { ...NULLABLE_STRING, description: 'Category filter, if any' },
+        total: { type: 'integer' },
+        components: {
+            type: 'array',
+            items: {
+                ...COMPONENT_SUMMARY_SCHEMA,
+                properties: { ...COMPONENT_SUMMARY_SCHEMA.properties, orgSpecific: ORG_SPECIFIC }
+            }
+        }
+    },
+    required: ['platform', 'total', 'components']
+};
+
+const CHANGE_REF_SCHEMA = {
+    type: 'object',
+    properties: {
+        platform: STRING,
+        name: STRING,
+        label: STRING,
+        categoryName: { ...STRING, description: 'Category slug' }
+    },
+    required: ['platform', 'name']
+};
+
+const SESSION_STEP_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { ...STRING, description: 'Step id for record_result: component slug / section.step (e.g., "button/2.3")' },
+        component: STRING,
+        section: { type: 'integer' },
+        sectionTitle: STRING,
+        action: NULLABLE_STRING,
+        expected: STRING_ARRAY,
+        assistiveTech: STRING_ARRAY
+    },
+    required: ['id', 'component', 'section', 'sectionTitle', 'action', 'expected']
+};
+
+const SESSION_TOTALS_SCHEMA = {
+    type: 'object',
+    properties: {
+        steps: { type: 'integer' },
+        pass: { type: 'integer' },
+        fail: { type: 'integer' },
+        na: { type: 'integer' },
+        pending: { type: 'integer', description: 'Steps without a result yet' }
+    },
+    required: ['steps', 'pass', 'fail', 'na', 'pending']
+};
+
+const SESSION_INFO_PROPERTIES = {
+    id: STRING,
+    name: NULLABLE_STRING,
+    platform: { type: 'string', enum: ['web', 'native'] },
+    format: { type: 'string', enum: SESSION_FORMATS },
+    assistiveTech: { ...NULLABLE_STRING, description: 'Assistive tech the session is run with, if any' },
+    createdAt: STRING,
+    updatedAt: STRING
+};
+
+const SESSION_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: RESULT_STATUSES },
+        notes: NULLABLE_STRING,
+        recordedAt: STRING
+    },
+    required: ['status', 'notes', 'recordedAt']
+};
+
+const STRUCTURED_CRITERIA_SCHEMA = {
+    type: 'object',
+    properties: {
+        component: STRING,
+        label: STRING,
+        platform: STRING,
+        category: STRING,
+        type: { type: 'string', enum: ['gherkin', 'condensed'] },
+        title: NULLABLE_STRING,
+        summary: NULLABLE_STRING,
+        given: NULLABLE_STRING,
+        sections: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    number: { type: ['integer', 'null'] },
+                    title: NULLABLE_STRING,
+                    tags: STRING_ARRAY,
+                    assistiveTech: STRING_ARRAY,
+                    steps: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: STRING,
+                                keyword: NULLABLE_STRING,
+                                action: STRING,
+                                expected: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            kind: { type: 'string', enum: ['see', 'hear', 'then', 'and', 'result', 'note'] },
+                                            text: STRING
+                                        },
+                                        required: ['kind', 'text']
+                                    }
+                                }
+                            },
+                            required: ['id', 'action', 'expected']
+                        }
+                    }
+                },
+                required: ['steps']
+            }
+        },
+        assistiveTech: STRING_ARRAY,
+        fullInformation: NULLABLE_STRING
+    },
+    required: ['component', 'label', 'platform', 'type', 'sections']
+};
+
+// STRUCTURED_CRITERIA_SCHEMA fields left out when the text is paged
+const CRITERIA_CONTENT_FIELDS = ['summary', 'given', 'sections', 'fullInformation'];
+
 export const tools = [
     // ============================================
     // Web Platform Tools
@@ -47,18 +681,16 @@ export const tools = [
                 },
             },
         },
+        outputSchema: COMPONENT_LIST_SCHEMA,
         handler: async (args) => {
             try {
                 const components = listComponents('web', args.category);
                 
                 if (components.length === 0) {
                     if (args.category) {
-                        const categories = listCategories('web');
-                        return textResponse(
-                            `No components found in category "${args.category}".\n\nAvailable categories:\n${categories.map(c => `- ${c.label} (${c.name}): ${c.componentCount} components`).join('\n')}`
-                        );
+                        return categoryNotFoundResponse('web', args.category);
                     }
-                    return textResponse('No web components found.');
+                    return errorResponse(ERROR_CODES.NOT_FOUND, 'No web components found.', { platform: 'web' });
                 }
                 
                 // Group by category for better display
@@ -74,14 +706,19 @@ export const tools = [
                 for (const [category, comps] of Object.entries(grouped)) {
                     output += `## ${category}\n`;
                     for (const comp of comps) {
-                        output += `- **${comp.label}** (\`${comp.name}\`)\n`;
+                        output += `- **${comp.label}** (\`${comp.name}\`)${comp.orgSpecific ? ' *(org-specific)*' : ''}\n`;
                     }
                     output += '\n';
                 }
                 
-                return textResponse(output);
+                return structuredResponse(output, {
+                    platform: 'web',
+                    category: args.category ?? null,
+                    total: components.length,
+                    components: components.map(comp => ({ ...componentSummary(comp), orgSpecific: comp.orgSpecific }))
+                });
             } catch (error) {
-                return textResponse(`Error listing web components: ${error.message}`);
+                return internalErrorResponse('listing web components', error);
             }
         }
     },
@@ -100,53 +737,62 @@ export const tools = [
                     description: 'Include code examples in response (default: true)',
                     default: true,
                 },
+                sections: {
+                    type: 'array',
+                    items: { type: 'string', enum: COMPONENT_SECTIONS.web },
+                    description: 'Sections to include (default: all). Use to keep responses small, e.g. ["condensed", "wcag"]',
+                },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
             },
             required: ['component'],
         },
+        ...pagedOutput(COMPONENT_DETAIL_SCHEMA, COMPONENT_DETAIL_CONTENT_FIELDS),
+        rendered: true,
         handler: async (args) => {
             try {
                 const component = findComponent('web', args.component);
                 
                 if (!component) {
-                    const allComponents = listComponents('web');
-                    const suggestions = allComponents
-                        .filter(c => c.name.includes(args.component.toLowerCase()) || 
-                                    c.label.toLowerCase().includes(args.component.toLowerCase()))
-                        .slice(0, 5);
-                    
-                    let msg = `Component "${args.component}" not found.`;
-                    if (suggestions.length > 0) {
-                        msg += `\n\nDid you mean:\n${suggestions.map(s => `- ${s.label} (\`${s.name}\`)`).join('\n')}`;
-                    }
-                    return textResponse(msg);
+                    return componentNotFoundResponse('web', args.component, `Component "${args.component}" not found.`);
                 }
                 
-                const includeCode = args.include_code_examples !== false;
-                const formatted = formatComponentOutput(component, includeCode);
+                const sections = selectedSections('web', args);
+                const formatted = formatComponentOutput(component, sections.has('developer_notes'));
                 
                 let output = `# ${formatted.label}\n\n`;
                 output += `**Category:** ${formatted.category}\n`;
-                output += `**Component ID:** \`${formatted.name}\`\n\n`;
+                output += `**Component ID:** \`${formatted.name}\`\n`;
+                output += orgSpecificLine(component);
+                output += counterpartLine('web', formatted.name) + '\n';
+                
+                if (sections.has('overview') && formatted.generalNotes) {
+                    output += `## Overview\n${sourceLine(component, 'generalNotes')}${formatted.generalNotes}\n\n`;
+                }
                 
-                if (formatted.generalNotes) {
-                    output += `## Overview\n${formatted.generalNotes}\n\n`;
+                if (sections.has('condensed') && formatted.condensed) {
+                    output += `## Condensed Criteria\n${sourceLine(component, 'condensed')}${formatted.condensed}\n\n`;
                 }
                 
-                if (formatted.condensed) {
-                    output += `## Condensed Criteria\n${formatted.condensed}\n\n`;
+                if (sections.has('gherkin') && formatted.gherkin) {
+                    output += `## Gherkin Acceptance Criteria\n${sourceLine(component, 'gherkin')}${formatted.gherkin}\n\n`;
                 }
                 
-                if (formatted.gherkin) {
-                    output += `## Gherkin Acceptance Criteria\n${formatted.gherkin}\n\n`;
+                if (sections.has('wcag')) {
+                    output += wcagSection(formatted.wcag);
                 }
                 
-                if (includeCode && formatted.developerNotes) {
-                    output += `## Developer Notes & Code Examples\n${formatted.developerNotes}\n`;
+                if (sections.has('testing_guides')) {
+                    output += relatedGuidesSection('web', formatted.name);
                 }
                 
-                return textResponse(output);
+                if (sections.has('developer_notes') && formatted.developerNotes) {
+                    output += `## Developer Notes & Code Examples\n${sourceLine(component, 'developerNotes')}${formatted.developerNotes}\n`;
+                }
+                
+                return structuredResponse(output, componentDetail('web', component, sections));
             } catch (error) {
-                return textResponse(`Error getting component: ${error.message}`);
+                return internalErrorResponse('getting component', error);
             }
         }
     },
@@ -158,23 +804,25 @@ export const tools = [
             properties: {
                 query: {
                     type: 'string',
-                    description: 'Search term or phrase (e.g., "focus indicator", "aria-label")',
+                    description: 'Search term or phrase (e.g., "focus indicator", "aria-label"). Words must all match; use OR for alternatives and "quotes" for exact phrases',
                 },
                 max_results: {
                     type: 'number',
                     description: 'Maximum number of results to return (default: 10)',
                     default: 10,
+                    minimum: 1,
                 },
             },
             required: ['query'],
         },
+        outputSchema: SEARCH_RESULTS_SCHEMA,
         handler: async (args) => {
             try {
                 const maxResults = args.max_results || 10;
                 const results = searchComponents('web', args.query, maxResults);
                 
                 if (results.length === 0) {
-                    return textResponse(`No results found for "${args.query}" in web accessibility criteria.`);
+                    return structuredResponse(`No results found for "${args.query}" in web accessibility criteria.`, searchResults(args.query, results));
                 }
                 
                 let output = `# Search Results for "${args.query}" (${results.length} matches)\n\n`;
@@ -182,16 +830,16 @@ export const tools = [
                 for (const result of results) {
                     output += `## ${result.label} (\`${result.name}\`)\n`;
                     output += `**Category:** ${result.category}\n`;
-                    output += `**Matched in:** ${result.matchedFields.join(', ')}\n`;
-                    if (result.generalNotes) {
-                        output += `**Overview:** ${result.generalNotes}\n`;
+                    output += `**Score:** ${result.score} | **Matched in:** ${matchedFieldsText(result)}\n`;
+                    if (result.snippet) {
+                        output += `**Match:** ${result.snippet}\n`;
                     }
                     output += '\n';
                 }
                 
-                return textResponse(output);
+                return structuredResponse(output, searchResults(args.query, results));
             } catch (error) {
-                return textResponse(`Error searching web criteria: ${error.message}`);
+                return internalErrorResponse('searching web criteria', error);
             }
         }
     },
@@ -211,18 +859,16 @@ export const tools = [
                 },
             },
         },
+        outputSchema: COMPONENT_LIST_SCHEMA,
         handler: async (args) => {
             try {
                 const components = listComponents('native', args.category);
                 
                 if (components.length === 0) {
                     if (args.category) {
-                        const categories = listCategories('native');
-                        return textResponse(
-                            `No components found in category "${args.category}".\n\nAvailable categories:\n${categories.map(c => `- ${c.label} (${c.name}): ${c.componentCount} components`).join('\n')}`
-                        );
+                        return categoryNotFoundResponse('native', args.category);
                     }
-                    return textResponse('No native components found.');
+                    return errorResponse(ERROR_CODES.NOT_FOUND, 'No native components found.', { platform: 'native' });
                 }
                 
                 // Group by category for better display
@@ -240,14 +886,19 @@ export const tools = [
                 for (const [category, comps] of Object.entries(grouped)) {
                     output += `## ${category}\n`;
                     for (const comp of comps) {
-                        output += `- **${comp.label}** (\`${comp.name}\`)\n`;
+                        output += `- **${comp.label}** (\`${comp.name}\`)${comp.orgSpecific ? ' *(org-specific)*' : ''}\n`;
                     }
                     output += '\n';
                 }
                 
-                return textResponse(output);
+                return structuredResponse(output, {
+                    platform: 'native',
+                    category: args.category ?? null,
+                    total: components.length,
+                    components: components.map(comp => ({ ...componentSummary(comp), orgSpecific: comp.orgSpecific }))
+                });
             } catch (error) {
-                return textResponse(`Error listing native components: ${error.message}`);
+                return internalErrorResponse('listing native components', error);
             }
         }
     },
@@ -266,62 +917,69 @@ export const tools = [
                     description: 'Include platform-specific code examples (default: true)',
                     default: true,
                 },
+                sections: {
+                    type: 'array',
+                    items: { type: 'string', enum: COMPONENT_SECTIONS.native },
+                    description: 'Sections to include (default: all). Use to keep responses small, e.g. ["condensed", "wcag"]',
+                },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
             },
             required: ['component'],
         },
+        ...pagedOutput(COMPONENT_DETAIL_SCHEMA, COMPONENT_DETAIL_CONTENT_FIELDS),
+        rendered: true,
         handler: async (args) => {
             try {
                 const component = findComponent('native', args.component);
                 
                 if (!component) {
-                    const allComponents = listComponents('native');
-                    const suggestions = allComponents
-                        .filter(c => c.name.includes(args.component.toLowerCase()) || 
-                                    c.label.toLowerCase().includes(args.component.toLowerCase()))
-                        .slice(0, 5);
-                    
-                    let msg = `Native component "${args.component}" not found.`;
-                    if (suggestions.length > 0) {
-                        msg += `\n\nDid you mean:\n${suggestions.map(s => `- ${s.label} (\`${s.name}\`)`).join('\n')}`;
-                    }
-                    return textResponse(msg);
+                    return componentNotFoundResponse('native', args.component, `Native component "${args.component}" not found.`);
                 }
                 
-                const includeCode = args.include_code_examples !== false;
+                const sections = selectedSections('native', args);
                 
                 let output = `# ${component.label} (Native)\n\n`;
                 output += `**Category:** ${component.category}\n`;
-                output += `**Component ID:** \`${component.name}\`\n\n`;
+                output += `**Component ID:** \`${component.name}\`\n`;
+                output += orgSpecificLine(component);
+                output += counterpartLine('native', component.name) + '\n';
                 
-                if (component.generalNotes) {
-                    output += `## Overview\n${component.generalNotes}\n\n`;
+                if (sections.has('overview') && component.generalNotes) {
+                    output += `## Overview\n${sourceLine(component, 'generalNotes')}${component.generalNotes}\n\n`;
                 }
                 
-                if (component.condensed) {
-                    output += `## Condensed Criteria\n${component.condensed}\n\n`;
+                if (sections.has('condensed') && component.condensed) {
+                    output += `## Condensed Criteria\n${sourceLine(component, 'condensed')}${component.condensed}\n\n`;
                 }
                 
-                if (component.gherkin) {
-                    output += `## Gherkin Acceptance Criteria\n${component.gherkin}\n\n`;
+                if (sections.has('gherkin') && component.gherkin) {
+                    output += `## Gherkin Acceptance Criteria\n${sourceLine(component, 'gherkin')}${component.gherkin}\n\n`;
                 }
                 
-                if (includeCode) {
-                    if (component.iosDeveloperNotes) {
-                        output += `## iOS Developer Notes (VoiceOver)\n${component.iosDeveloperNotes}\n\n`;
-                    }
-                    
-                    if (component.androidDeveloperNotes) {
-                        output += `## Android Developer Notes (TalkBack)\n${component.androidDeveloperNotes}\n\n`;
-                    }
-                    
-                    if (component.developerNotes) {
-                        output += `## General Developer Notes\n${component.developerNotes}\n`;
-                    }
+                if (sections.has('wcag')) {
+                    output += wcagSection(extractWcagCriteria(component));
+                }
+                
+                if (sections.has('testing_guides')) {
+                    output += relatedGuidesSection('native', component.name);
                 }
                 
-                return textResponse(output);
+                if (sections.has('ios_notes') && component.iosDeveloperNotes) {
+                    output += `## iOS Developer Notes (VoiceOver)\n${sourceLine(component, 'iosDeveloperNotes')}${component.iosDeveloperNotes}\n\n`;
+                }
+                
+                if (sections.has('android_notes') && component.androidDeveloperNotes) {
+                    output += `## Android Developer Notes (TalkBack)\n${sourceLine(component, 'androidDeveloperNotes')}${component.androidDeveloperNotes}\n\n`;
+                }
+                
+                if (sections.has('developer_notes') && component.developerNotes) {
+                    output += `## General Developer Notes\n${sourceLine(component, 'developerNotes')}${component.developerNotes}\n`;
+                }
+                
+                return structuredResponse(output, componentDetail('native', component, sections));
             } catch (error) {
-                return textResponse(`Error getting native component: ${error.message}`);
+                return internalErrorResponse('getting native component', error);
             }
         }
     },
@@ -333,23 +991,25 @@ export const tools = [
             properties: {
                 query: {
                     type: 'string',
-                    description: 'Search term or phrase (e.g., "voiceover", "talkback", "accessibility label")',
+                    description: 'Search term or phrase (e.g., "voiceover", "talkback", "accessibility label"). Words must all match; use OR for alternatives and "quotes" for exact phrases',
                 },
                 max_results: {
                     type: 'number',
                     description: 'Maximum number of results to return (default: 10)',
                     default: 10,
+                    minimum: 1,
                 },
             },
             required: ['query'],
         },
+        outputSchema: SEARCH_RESULTS_SCHEMA,
         handler: async (args) => {
             try {
                 const maxResults = args.max_results || 10;
                 const results = searchComponents('native', args.query, maxResults);
                 
                 if (results.length === 0) {
-                    return textResponse(`No results found for "${args.query}" in native accessibility criteria.`);
+                    return structuredResponse(`No results found for "${args.query}" in native accessibility criteria.`, searchResults(args.query, results));
                 }
                 
                 let output = `# Native Search Results for "${args.query}" (${results.length} matches)\n\n`;
@@ -357,16 +1017,16 @@ export const tools = [
                 for (const result of results) {
                     output += `## ${result.label} (\`${result.name}\`)\n`;
                     output += `**Category:** ${result.category}\n`;
-                    output += `**Matched in:** ${result.matchedFields.join(', ')}\n`;
-                    if (result.generalNotes) {
-                        output += `**Overview:** ${result.generalNotes}\n`;
+                    output += `**Score:** ${result.score} | **Matched in:** ${matchedFieldsText(result)}\n`;
+                    if (result.snippet) {
+                        output += `**Match:** ${result.snippet}\n`;
                     }
                     output += '\n';
                 }
                 
-                return textResponse(output);
+                return structuredResponse(output, searchResults(args.query, results));
             } catch (error) {
-                return textResponse(`Error searching native criteria: ${error.message}`);
+                return internalErrorResponse('searching native criteria', error);
             }
         }
     },
@@ -389,29 +1049,45 @@ export const tools = [
                     type: 'string',
                     description: 'Component name (e.g., "button", "checkbox")',
                 },
+                format: {
+                    type: 'string',
+                    enum: ['markdown', 'json'],
+                    description: 'Output format: markdown as published, or json with sections, steps, expected outcomes and assistive tech (default: markdown)',
+                    default: 'markdown',
+                },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
             },
             required: ['platform', 'component'],
         },
+        ...pagedOutput(STRUCTURED_CRITERIA_SCHEMA, CRITERIA_CONTENT_FIELDS),
+        rendered: true,
         handler: async (args) => {
             try {
                 const component = findComponent(args.platform, args.component);
                 
                 if (!component) {
-                    return textResponse(`Component "${args.component}" not found for platform "${args.platform}".`);
+                    return componentNotFoundResponse(args.platform, args.component, `Component "${args.component}" not found for platform "${args.platform}".`);
                 }
                 
                 if (!component.gherkin) {
-                    return textResponse(`No Gherkin criteria available for "${component.label}".`);
+                    return noFormatResponse(args.platform, component, 'gherkin', `No Gherkin criteria available for "${component.label}".`);
+                }
+                
+                const criteria = getStructuredCriteria(args.platform, component.name, 'gherkin');
+                if (args.format === 'json') {
+                    return jsonResponse(criteria);
                 }
                 
                 let output = `# Gherkin Acceptance Criteria: ${component.label}\n\n`;
                 output += `**Platform:** ${args.platform}\n`;
-                output += `**Category:** ${component.category}\n\n`;
+                output += `**Category:** ${component.category}\n`;
+                output += orgSpecificLine(component) + sourceHeader(component, 'gherkin') + '\n';
                 output += component.gherkin;
                 
-                return textResponse(output);
+                return structuredResponse(output, criteria);
             } catch (error) {
-                return textResponse(`Error getting Gherkin criteria: ${error.message}`);
+                return internalErrorResponse('getting Gherkin criteria', error);
             }
         }
     },
@@ -430,29 +1106,45 @@ export const tools = [
                     type: 'string',
                     description: 'Component name (e.g., "button", "checkbox")',
                 },
+                format: {
+                    type: 'string',
+                    enum: ['markdown', 'json'],
+                    description: 'Output format: markdown as published, or json with sections, steps, expected outcomes and assistive tech (default: markdown)',
+                    default: 'markdown',
+                },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
             },
             required: ['platform', 'component'],
         },
+        ...pagedOutput(STRUCTURED_CRITERIA_SCHEMA, CRITERIA_CONTENT_FIELDS),
+        rendered: true,
         handler: async (args) => {
             try {
                 const component = findComponent(args.platform, args.component);
                 
                 if (!component) {
-                    return textResponse(`Component "${args.component}" not found for platform "${args.platform}".`);
+                    return componentNotFoundResponse(args.platform, args.component, `Component "${args.component}" not found for platform "${args.platform}".`);
                 }
                 
                 if (!component.condensed) {
-                    return textResponse(`No condensed criteria available for "${component.label}".`);
+                    return noFormatResponse(args.platform, component, 'condensed', `No condensed criteria available for "${component.label}".`);
+                }
+                
+                const criteria = getStructuredCriteria(args.platform, component.name, 'condensed');
+                if (args.format === 'json') {
+                    return jsonResponse(criteria);
                 }
                 
                 let output = `# Condensed Acceptance Criteria: ${component.label}\n\n`;
                 output += `**Platform:** ${args.platform}\n`;
-                output += `**Category:** ${component.category}\n\n`;
+                output += `**Category:** ${component.category}\n`;
+                output += orgSpecificLine(component) + sourceHeader(component, 'condensed') + '\n';
                 output += component.condensed;
                 
-                return textResponse(output);
+                return structuredResponse(output, criteria);
             } catch (error) {
-                return textResponse(`Error getting condensed criteria: ${error.message}`);
+                return internalErrorResponse('getting condensed criteria', error);
             }
         }
     },
@@ -471,47 +1163,75 @@ export const tools = [
                     type: 'string',
                     description: 'Component name (e.g., "button", "checkbox")',
                 },
+                sections: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['general', 'ios', 'android'] },
+                    description: 'Notes to include (default: all; ios and android apply to native only)',
+                },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
             },
             required: ['platform', 'component'],
         },
+        ...pagedOutput({
+            type: 'object',
+            properties: {
+                platform: STRING,
+                ...COMPONENT_SUMMARY_SCHEMA.properties,
+                developerNotes: NULLABLE_STRING,
+                iosDeveloperNotes: NULLABLE_STRING,
+                androidDeveloperNotes: NULLABLE_STRING,
+            },
+            required: ['platform', ...COMPONENT_SUMMARY_SCHEMA.required],
+        }, ['developerNotes', 'iosDeveloperNotes', 'androidDeveloperNotes']),
+        rendered: true,
         handler: async (args) => {
             try {
                 const component = findComponent(args.platform, args.component);
                 
                 if (!component) {
-                    return textResponse(`Component "${args.component}" not found for platform "${args.platform}".`);
+                    return componentNotFoundResponse(args.platform, args.component, `Component "${args.component}" not found for platform "${args.platform}".`);
                 }
                 
                 let output = `# Developer Notes: ${component.label}\n\n`;
                 output += `**Platform:** ${args.platform}\n`;
-                output += `**Category:** ${component.category}\n\n`;
+                output += `**Category:** ${component.category}\n`;
+                output += orgSpecificLine(component) + '\n';
                 
+                const sections = new Set(args.sections && args.sections.length > 0 ? args.sections : ['general', 'ios', 'android']);
+                const native = args.platform === 'native';
                 let hasNotes = false;
                 
-                if (component.developerNotes) {
-                    output += `## General Developer Notes\n${component.developerNotes}\n\n`;
+                if (sections.has('general') && component.developerNotes) {
+                    output += `## General Developer Notes\n${sourceLine(component, 'developerNotes')}${component.developerNotes}\n\n`;
                     hasNotes = true;
                 }
                 
-                if (args.platform === 'native') {
-                    if (component.iosDeveloperNotes) {
-                        output += `## iOS Developer Notes\n${component.iosDeveloperNotes}\n\n`;
+                if (native) {
+                    if (sections.has('ios') && component.iosDeveloperNotes) {
+                        output += `## iOS Developer Notes\n${sourceLine(component, 'iosDeveloperNotes')}${component.iosDeveloperNotes}\n\n`;
                         hasNotes = true;
                     }
                     
-                    if (component.androidDeveloperNotes) {
-                        output += `## Android Developer Notes\n${component.androidDeveloperNotes}\n\n`;
+                    if (sections.has('android') && component.androidDeveloperNotes) {
+                        output += `## Android Developer Notes\n${sourceLine(component, 'androidDeveloperNotes')}${component.androidDeveloperNotes}\n\n`;
                         hasNotes = true;
                     }
                 }
                 
                 if (!hasNotes) {
-                    return textResponse(`No developer notes available for "${component.label}".`);
+                    return noFormatResponse(args.platform, component, 'developerNotes', `No developer notes available for "${component.label}".`);
                 }
                 
-                return textResponse(output);
+                return structuredResponse(output, {
+                    platform: args.platform,
+                    ...componentSummary(component),
+                    developerNotes: (sections.has('general') && component.developerNotes) || null,
+                    iosDeveloperNotes: (native && sections.has('ios') && component.iosDeveloperNotes) || null,
+                    androidDeveloperNotes: (native && sections.has('android') && component.androidDeveloperNotes) || null
+                });
             } catch (error) {
-                return textResponse(`Error getting developer notes: ${error.message}`);
+                return internalErrorResponse('getting developer notes', error);
             }
         }
     },
@@ -530,16 +1250,28 @@ export const tools = [
                     type: 'string',
                     description: 'Component name (e.g., "button", "switch")',
                 },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
             },
             required: ['platform', 'component'],
         },
+        ...pagedOutput({
+            type: 'object',
+            properties: {
+                platform: { type: 'string', enum: ['ios', 'android'] },
+                ...COMPONENT_SUMMARY_SCHEMA.properties,
+                notes: STRING,
+            },
+            required: ['platform', ...COMPONENT_SUMMARY_SCHEMA.required, 'notes'],
+        }, ['notes']),
+        rendered: true,
         handler: async (args) => {
             try {
                 // Native components are stored under 'native' platform
                 const component = findComponent('native', args.component);
                 
                 if (!component) {
-                    return textResponse(`Native component "${args.component}" not found.`);
+                    return componentNotFoundResponse('native', args.component, `Native component "${args.component}" not found.`);
                 }
                 
                 const platformName = args.platform === 'ios' ? 'iOS' : 'Android';
@@ -547,23 +1279,28 @@ export const tools = [
                 const notes = component[notesField];
                 
                 if (!notes) {
-                    return textResponse(`No ${platformName} developer notes available for "${component.label}".`);
+                    return noFormatResponse('native', component, notesField, `No ${platformName} developer notes available for "${component.label}".`);
                 }
                 
                 let output = `# ${platformName} Developer Notes: ${component.label}\n\n`;
                 output += `**Component:** ${component.name}\n`;
-                output += `**Category:** ${component.category}\n\n`;
+                output += `**Category:** ${component.category}\n`;
+                output += orgSpecificLine(component) + sourceHeader(component, notesField) + '\n';
                 output += notes;
                 
-                return textResponse(output);
+                return structuredResponse(output, {
+                    platform: args.platform,
+                    ...componentSummary(component),
+                    notes
+                });
             } catch (error) {
-                return textResponse(`Error getting native notes: ${error.message}`);
+                return internalErrorResponse('getting native notes', error);
             }
         }
     },
     {
-        name: 'list_component_formats',
-        description: 'List all available content formats for a specific component (e.g., gherkin, condensed, developer notes).',
+        name: 'get_code_examples',
+        description: 'Get code examples from a component\'s developer notes as tagged snippets. Each snippet includes its language and the heading it sits under (e.g., "Focusable disabled button"). Filter by language, heading keywords or code text to get just the snippet you need.',
         inputSchema: {
             type: 'object',
             properties: {
@@ -576,42 +1313,1537 @@ export const tools = [
                     type: 'string',
                     description: 'Component name (e.g., "button", "checkbox")',
                 },
+                language: {
+                    type: 'string',
+                    description: 'Only return snippets in this language (e.g., "html", "css", "js", "swift", "kotlin")',
+                },
+                heading: {
+                    type: 'string',
+                    description: 'Only return snippets matching all of these words in their heading, language or code (e.g., "disabled", "aria-disabled button html")',
+                },
+                contains: {
+                    type: 'string',
+                    description: 'Only return snippets whose code contains this text (e.g., "aria-disabled")',
+                },
+                include_rendered: {
+                    type: 'boolean',
+                    description: 'Include the rendered <example> demo markup alongside the fenced code (default: true)',
+                    default: true,
+                },
+                format: {
+                    type: 'string',
+                    enum: ['markdown', 'json'],
+                    description: 'Output format (default: markdown)',
+                    default: 'markdown',
+                },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
             },
             required: ['platform', 'component'],
         },
+        ...pagedOutput({
+            type: 'object',
+            properties: {
+                component: STRING,
+                label: STRING,
+                platform: STRING,
+                examples: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            language: STRING,
+                            kind: { type: 'string', enum: ['code', 'example'] },
+                            source: { type: 'string', enum: ['general', 'ios', 'android'] },
+                            heading: NULLABLE_STRING,
+                            headingPath: STRING_ARRAY,
+                            code: STRING,
+                        },
+                        required: ['language', 'kind', 'source', 'code'],
+                    },
+                },
+            },
+            required: ['component', 'label', 'platform', 'examples'],
+        }, ['examples']),
+        rendered: true,
         handler: async (args) => {
             try {
-                const formats = listComponentFormats(args.platform, args.component);
+                const component = findComponent(args.platform, args.component);
                 
-                if (!formats) {
-                    return textResponse(`Component "${args.component}" not found for platform "${args.platform}".`);
+                if (!component) {
+                    return componentNotFoundResponse(args.platform, args.component, `Component "${args.component}" not found for platform "${args.platform}".`);
                 }
                 
-                let output = `# Available Formats: ${formats.label}\n\n`;
-                output += `**Platform:** ${args.platform}\n`;
-                output += `**Category:** ${formats.category}\n`;
-                output += `**Component ID:** \`${formats.name}\`\n\n`;
-                output += `## Available Content Formats\n\n`;
+                const examples = getCodeExamples(args.platform, component.name, {
+                    language: args.language,
+                    heading: args.heading,
+                    contains: args.contains,
+                    includeRendered: args.include_rendered !== false
+                });
                 
-                const formatDescriptions = {
-                    gherkin: 'Gherkin-style acceptance criteria (Given/When/Then)',
-                    condensed: 'Condensed acceptance criteria (quick reference)',
-                    developerNotes: 'Developer implementation notes with code examples',
-                    androidDeveloperNotes: 'Android-specific developer notes (TalkBack)',
-                    iosDeveloperNotes: 'iOS-specific developer notes (VoiceOver)',
-                    videos: 'Demo videos',
-                    generalNotes: 'General overview notes'
+                const data = {
+                    component: component.name,
+                    label: component.label,
+                    platform: args.platform,
+                    examples
                 };
+                if (args.format === 'json') {
+                    return jsonResponse(data);
+                }
+                
+                if (examples.length === 0) {
+                    const filters = [
+                        args.language && `language "${args.language}"`,
+                        args.heading && `heading "${args.heading}"`,
+                        args.contains && `code containing "${args.contains}"`
+                    ].filter(Boolean);
+                    if (filters.length === 0) {
+                        return noFormatResponse(args.platform, component, 'codeExamples', `No code examples available for "${component.label}".`);
+                    }
+                    return structuredResponse(`No code examples found for "${component.label}" matching ${filters.join(', ')}.`, data);
+                }
+                
+                let output = `# Code Examples: ${component.label}\n\n`;
+                output += `**Platform:** ${args.platform}\n`;
+                output += `Found ${examples.length} snippet(s)\n\n`;
+                
+                examples.forEach(example => {
+                    const source = example.source === 'general' ? '' : ` (${example.source === 'ios' ? 'iOS' : 'Android'})`;
+                    const kind = example.kind === 'example' ? ' — rendered example' : '';
+                    output += `## ${example.headingPath.join(' > ') || 'Untitled'}${source}\n`;
+                    output += `**Language:** ${example.language}${kind}\n\n`;
+                    output += `\`\`\`${example.language}\n${example.code}\n\`\`\`\n\n`;
+                });
+                
+                return structuredResponse(output, data);
+            } catch (error) {
+                return internalErrorResponse('getting code examples', error);
+            }
+        }
+    },
+    {
+        name: 'get_component_videos',
+        description: 'Get the screen reader demo recordings for a component: assistive tech (TalkBack, VoiceOver, NVDA, JAWS), OS, browser, file type and URL of each video. Filter by screen reader to find e.g. the reference recording for "button with NVDA".',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                platform: {
+                    type: 'string',
+                    enum: ['web', 'native'],
+                    description: 'Platform (web or native)',
+                },
+                component: {
+                    type: 'string',
+                    description: 'Component name (e.g., "button", "checkbox")',
+                },
+                screen_reader: {
+                    type: 'string',
+                    description: 'Only return recordings made with this screen reader (e.g., "NVDA", "JAWS", "VoiceOver", "TalkBack")',
+                },
+            },
+            required: ['platform', 'component'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                platform: STRING,
+                ...COMPONENT_SUMMARY_SCHEMA.properties,
+                url: { type: 'string', description: 'Component page on magentaa11y.com' },
+                screenReader: { ...NULLABLE_STRING, description: 'Screen reader filter, if given' },
+                total: { type: 'integer' },
+                videos: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            heading: { ...NULLABLE_STRING, description: 'Heading above the video (e.g., "Windows NVDA Chrome")' },
+                            screenReader: NULLABLE_STRING,
+                            os: NULLABLE_STRING,
+                            browser: NULLABLE_STRING,
+                            fileType: { ...NULLABLE_STRING, description: 'File extension (e.g., "webm", "mp4")' },
+                            mimeType: NULLABLE_STRING,
+                            file: STRING,
+                            url: STRING,
+                        },
+                        required: ['screenReader', 'os', 'browser', 'fileType', 'url'],
+                    },
+                },
+            },
+            required: ['platform', ...COMPONENT_SUMMARY_SCHEMA.required, 'url', 'screenReader', 'total', 'videos'],
+        },
+        handler: async (args) => {
+            try {
+                const component = findComponent(args.platform, args.component);
+                
+                if (!component) {
+                    return componentNotFoundResponse(args.platform, args.component, `Component "${args.component}" not found for platform "${args.platform}".`);
+                }
+                
+                if (!component.videos) {
+                    return noFormatResponse(args.platform, component, 'videos', `No demo videos available for "${component.label}".`);
+                }
+                
+                const videos = getComponentVideos(args.platform, component.name, { screenReader: args.screen_reader });
+                const data = {
+                    platform: args.platform,
+                    ...componentSummary(component),
+                    url: getComponentUrl(args.platform, component),
+                    screenReader: args.screen_reader || null,
+                    total: videos.length,
+                    videos
+                };
+                
+                if (videos.length === 0) {
+                    const available = [...new Set(getComponentVideos(args.platform, component.name).map(v => v.screenReader).filter(Boolean))];
+                    return structuredResponse(
+                        `No ${args.screen_reader} videos for "${component.label}". Recordings are available for: ${available.join(', ') || 'none'}.`,
+                        data
+                    );
+                }
+                
+                let output = `# Demo Videos: ${component.label}\n\n`;
+                output += `**Platform:** ${args.platform}\n`;
+                output += `**Category:** ${component.category}\n`;
+                if (args.screen_reader) {
+                    output += `**Screen reader:** ${args.screen_reader}\n`;
+                }
+                output += `\nFound ${videos.length} video(s)\n\n`;
+                output += '| Screen Reader | OS | Browser | Type | Video |\n';
+                output += '|---------------|----|---------|------|-------|\n';
+                for (const video of videos) {
+                    output += `| ${tableCell(video.screenReader)} | ${tableCell(video.os)} | ${tableCell(video.browser)} | ${tableCell(video.fileType)} | [${video.file}](${video.url}) |\n`;
+                }
+                
+                return structuredResponse(output, data);
+            } catch (error) {
+                return internalErrorResponse('getting videos', error);
+            }
+        }
+    },
+    {
+        name: 'list_component_formats',
+        description: 'List all available content formats for a specific component (e.g., gherkin, condensed, developer notes), with the approximate size of each so you can decide what to fetch.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                platform: {
+                    type: 'string',
+                    enum: ['web', 'native'],
+                    description: 'Platform (web or native)',
+                },
+                component: {
+                    type: 'string',
+                    description: 'Component name (e.g., "button", "checkbox")',
+                },
+            },
+            required: ['platform', 'component'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                platform: STRING,
+                name: STRING,
+                label: STRING,
+                category: STRING,
+                orgSpecific: ORG_SPECIFIC,
+                formats: {
+                    type: 'object',
+                    description: 'Whether the component has each content format',
+                    additionalProperties: { type: 'boolean' },
+                },
+                sources: SECTION_SOURCES_SCHEMA,
+                sizes: {
+                    type: 'object',
+                    description: 'Length of each format in characters',
+                    additionalProperties: { type: 'integer' },
+                },
+                estimatedTokens: {
+                    type: 'object',
+                    description: 'Approximate tokens for each format',
+                    additionalProperties: { type: 'integer' },
+                },
+                totalEstimatedTokens: { type: 'integer', description: 'Approximate tokens for all formats together' },
+            },
+            required: ['platform', 'name', 'label', 'orgSpecific', 'formats', 'sizes', 'sources', 'estimatedTokens', 'totalEstimatedTokens'],
+        },
+        handler: async (args) => {
+            try {
+                const formats = listComponentFormats(args.platform, args.component);
+                
+                if (!formats) {
+                    return componentNotFoundResponse(args.platform, args.component, `Component "${args.component}" not found for platform "${args.platform}".`);
+                }
+                
+                let output = `# Available Formats: ${formats.label}\n\n`;
+                output += `**Platform:** ${args.platform}\n`;
+                output += `**Category:** ${formats.category}\n`;
+                output += `**Component ID:** \`${formats.name}\`\n`;
+                output += formats.orgSpecific ? '**Org-specific:** yes\n\n' : '\n';
+                output += `## Available Content Formats\n\n`;
+                
+                const formatDescriptions = {
+                    gherkin: 'Gherkin-style acceptance criteria (Given/When/Then)',
+                    condensed: 'Condensed acceptance criteria (quick reference)',
+                    developerNotes: 'Developer implementation notes with code examples',
+                    androidDeveloperNotes: 'Android-specific developer notes (TalkBack)',
+                    iosDeveloperNotes: 'iOS-specific developer notes (VoiceOver)',
+                    videos: 'Screen reader demo videos (get_component_videos)',
+                    generalNotes: 'General overview notes'
+                };
+                
+                const estimatedTokens = Object.fromEntries(
+                    Object.entries(formats.sizes).map(([format, chars]) => [format, estimateTokens(chars)])
+                );
+                const totalEstimatedTokens = Object.values(estimatedTokens).reduce((sum, tokens) => sum + tokens, 0);
+                
+                // Sources are only worth listing when an overlay touched the component
+                const overlaid = Object.values(formats.sources).some(source => source.overlays.length > 0);
                 
                 for (const [format, available] of Object.entries(formats.formats)) {
                     const status = available ? '✅' : '❌';
                     const desc = formatDescriptions[format] || format;
-                    output += `${status} **${format}**: ${desc}\n`;
+                    const size = available ? ` (~${estimatedTokens[format]} tokens)` : '';
+                    const source = available && overlaid ? ` — ${describeSource(formats.sources[format])}` : '';
+                    output += `${status} **${format}**: ${desc}${size}${source}\n`;
+                }
+                
+                output += `\n**Total:** ~${totalEstimatedTokens} tokens. Use \`sections\` or \`max_chars\` on the get_* tools to fetch less.\n`;
+                
+                return structuredResponse(output, { platform: args.platform, ...formats, estimatedTokens, totalEstimatedTokens });
+            } catch (error) {
+                return internalErrorResponse('listing formats', error);
+            }
+        }
+    },
+    
+    // ============================================
+    // Cross-Platform Tools
+    // ============================================
+    {
+        name: 'compare_component_across_platforms',
+        description: 'Compare a component across web and native (iOS/Android). Maps between the web and native catalogs (e.g., web "expander-accordion" = native "expandable", "range-slider" = "slider") and lines up the condensed criteria side by side, listing differences in keyboard, gesture and screen reader behavior.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                component: {
+                    type: 'string',
+                    description: 'Component name on either platform (e.g., "expander-accordion", "expandable", "toast")',
+                },
+                platform: {
+                    type: 'string',
+                    enum: ['web', 'native'],
+                    description: 'Platform the name belongs to (default: try web, then native)',
+                },
+            },
+            required: ['component'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                web: {
+                    type: ['object', 'null'],
+                    properties: { ...COMPONENT_SUMMARY_SCHEMA.properties, url: STRING },
+                },
+                native: {
+                    type: ['object', 'null'],
+                    properties: { ...COMPONENT_SUMMARY_SCHEMA.properties, url: STRING },
+                },
+                aspects: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            aspect: { type: 'string', enum: ['keyboard', 'gestures', 'screenReader', 'deviceSettings', 'other'] },
+                            label: STRING,
+                            rows: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        key: { ...STRING, description: 'Normalized key, gesture or output (e.g., "tab", "doubletap", "role")' },
+                                        action: STRING,
+                                        web: { ...NULLABLE_STRING, description: 'Expected result on web, or null if not in the criteria' },
+                                        native: { ...NULLABLE_STRING, description: 'Expected result on iOS and Android (native criteria are shared; OS-specific results are named in the text), or null if not in the criteria' },
+                                    },
+                                    required: ['key', 'action', 'web', 'native'],
+                                },
+                            },
+                        },
+                        required: ['aspect', 'label', 'rows'],
+                    },
+                },
+                differences: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { aspect: STRING, text: STRING },
+                        required: ['aspect', 'text'],
+                    },
+                },
+                developerNotes: {
+                    type: 'object',
+                    description: 'Which platforms have developer notes',
+                    properties: { web: { type: 'boolean' }, ios: { type: 'boolean' }, android: { type: 'boolean' } },
+                },
+            },
+            required: ['web', 'native', 'aspects', 'differences', 'developerNotes'],
+        },
+        handler: async (args) => {
+            try {
+                const result = compareAcrossPlatforms(args.component, args.platform);
+                
+                if (!result.web && !result.native) {
+                    const platform = args.platform || 'web';
+                    return componentNotFoundResponse(platform, args.component, `Component "${args.component}" not found${args.platform ? ` for platform "${args.platform}"` : ' on web or native'}.`);
+                }
+                
+                const { web, native } = result;
+                const columns = [web && 'Web', native && 'Native (iOS/Android)'].filter(Boolean);
+                const sides = [web && 'web', native && 'native'].filter(Boolean);
+                
+                let output = `# Cross-Platform Comparison: ${[web, native].filter(Boolean).map(c => c.label).join(' / ')}\n\n`;
+                output += web ? `**Web:** [${web.label}](${web.url}) (\`${web.name}\`, ${web.category})\n` : '**Web:** no equivalent component\n';
+                output += native ? `**Native:** [${native.label}](${native.url}) (\`${native.name}\`, ${native.category})\n\n` : '**Native:** no equivalent component\n\n';
+                
+                for (const group of result.aspects) {
+                    output += `## ${group.label}\n\n`;
+                    output += `| Action | ${columns.join(' | ')} |\n`;
+                    output += `|---|${columns.map(() => '---').join('|')}|\n`;
+                    for (const row of group.rows) {
+                        output += `| ${tableCell(row.action)} | ${sides.map(side => tableCell(row[side])).join(' | ')} |\n`;
+                    }
+                    output += '\n';
+                }
+                
+                if (result.differences.length > 0) {
+                    output += `## Differences\n`;
+                    for (const difference of result.differences) {
+                        const group = result.aspects.find(a => a.aspect === difference.aspect);
+                        output += `- **${group.label}:** ${difference.text}\n`;
+                    }
+                    output += '\n';
+                }
+                
+                const notes = [
+                    result.developerNotes.web && '`get_component_developer_notes` (web)',
+                    result.developerNotes.ios && '`get_component_native_notes` (ios)',
+                    result.developerNotes.android && '`get_component_native_notes` (android)'
+                ].filter(Boolean);
+                if (notes.length > 0) {
+                    output += `*Implementation details: ${notes.join(', ')}.*\n`;
+                }
+                
+                return structuredResponse(output, result);
+            } catch (error) {
+                return internalErrorResponse('comparing component across platforms', error);
+            }
+        }
+    },
+    
+    // ============================================
+    // Content Change Tools
+    // ============================================
+    {
+        name: 'get_content_changes',
+        description: 'Report what changed in the MagentaA11y content since a snapshot or date: components added or removed, and which gherkin steps, condensed criteria or developer notes lines changed. Use it to check whether criteria referenced by stories were updated.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                since: {
+                    type: 'string',
+                    description: 'Snapshot id (e.g., "content-2025-11-30T12-00-00-000Z") or date (e.g., "2025-11-01"). Default: all recorded updates',
+                },
+                platform: {
+                    type: 'string',
+                    enum: ['web', 'native', 'how-to-test'],
+                    description: 'Only report changes for this platform',
+                },
+                component: {
+                    type: 'string',
+                    description: 'Only report changes for this component slug (e.g., "button"); removed components can be named too',
+                },
+                ...PAGINATION_INPUT_PROPERTIES,
+            },
+        },
+        ...pagedOutput({
+            type: 'object',
+            properties: {
+                since: NULLABLE_STRING,
+                total: { type: 'integer', description: 'Number of content updates reported' },
+                updates: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            snapshot: { ...NULLABLE_STRING, description: 'Id of the content saved before this update (data/snapshots/<id>.json); null for a reload while the server ran' },
+                            date: STRING,
+                            summary: {
+                                type: 'object',
+                                properties: { added: { type: 'integer' }, removed: { type: 'integer' }, changed: { type: 'integer' } },
+                                required: ['added', 'removed', 'changed'],
+                            },
+                            added: { type: 'array', items: CHANGE_REF_SCHEMA },
+                            removed: { type: 'array', items: CHANGE_REF_SCHEMA },
+                            changed: {
+                                type: 'array',
+                                items: {
+                                    ...CHANGE_REF_SCHEMA,
+                                    properties: {
+                                        ...CHANGE_REF_SCHEMA.properties,
+                                        sections: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                properties: {
+                                                    section: { type: 'string', enum: CHANGE_SECTIONS.map(s => s.section) },
+                                                    change: { type: 'string', enum: ['added', 'removed', 'changed'] },
+                                                    added: STRING_ARRAY,
+                                                    removed: STRING_ARRAY,
+                                                },
+                                                required: ['section', 'change', 'added', 'removed'],
+                                            },
+                                        },
+                                    },
+                                    required: [...CHANGE_REF_SCHEMA.required, 'sections'],
+                                },
+                            },
+                        },
+                        required: ['snapshot', 'date', 'summary', 'added', 'removed', 'changed'],
+                    },
+                },
+            },
+            required: ['since', 'total', 'updates'],
+        }, ['updates']),
+        handler: async (args) => {
+            try {
+                const component = args.component && args.platform
+                    ? findComponent(args.platform, args.component)?.name || args.component
+                    : args.component;
+                const updates = getContentChanges({ since: args.since, platform: args.platform, component });
+                
+                if (!updates) {
+                    const snapshots = listContentUpdates().map(update => update.snapshot).filter(Boolean);
+                    const message = `"${args.since}" is neither a recorded snapshot nor a date.`;
+                    return errorResponse(
+                        ERROR_CODES.INVALID_ARGUMENTS,
+                        message,
+                        { argument: 'since', snapshots },
+                        `${message}\n\nUse a date (e.g., "2025-11-01")${snapshots.length ? ` or one of the snapshots:\n${snapshots.map(id => `- \`${id}\``).join('\n')}` : ''}`
+                    );
+                }
+                
+                const data = { since: args.since || null, total: updates.length, updates };
+                const scope = [args.platform, component].filter(Boolean).join('/');
+                
+                if (updates.length === 0) {
+                    let output = `No content changes recorded${args.since ? ` since ${args.since}` : ''}${scope ? ` for ${scope}` : ''}.`;
+                    if (listContentUpdates().length === 0) {
+                        output += ' Changes are recorded when `npm run update-content` replaces data/content.json.';
+                    }
+                    return structuredResponse(output, data);
+                }
+                
+                const titles = Object.fromEntries(CHANGE_SECTIONS.map(({ section, title }) => [section, title]));
+                const refLabel = ref => `${ref.label} (\`${ref.platform}/${ref.name}\`)`;
+                
+                let output = `# Content Changes${args.since ? ` since ${args.since}` : ''}${scope ? ` (${scope})` : ''}\n\n`;
+                output += `${updates.length} content update(s)\n\n`;
+                
+                for (const update of updates) {
+                    output += `## Update of ${update.date.slice(0, 10)}\n`;
+                    output += update.snapshot ? `**Previous snapshot:** \`${update.snapshot}\`\n` : `**Previous snapshot:** none (content reloaded while the server ran)\n`;
+                    output += `**Summary:** ${update.summary.added} added, ${update.summary.removed} removed, ${update.summary.changed} changed\n\n`;
+                    
+                    if (update.added.length > 0) {
+                        output += `**Added:** ${update.added.map(refLabel).join(', ')}\n\n`;
+                    }
+                    if (update.removed.length > 0) {
+                        output += `**Removed:** ${update.removed.map(refLabel).join(', ')}\n\n`;
+                    }
+                    
+                    for (const change of update.changed) {
+                        output += `### ${refLabel(change)}\n`;
+                        for (const section of change.sections) {
+                            output += `- **${titles[section.section] || section.section}** ${section.change}`;
+                            output += section.change === 'changed' ? ` (+${section.added.length} / -${section.removed.length} lines)\n` : '\n';
+                            for (const line of section.removed.slice(0, CHANGED_LINES_SHOWN)) {
+                                output += `  - removed: ${line}\n`;
+                            }
+                            for (const line of section.added.slice(0, CHANGED_LINES_SHOWN)) {
+                                output += `  - added: ${line}\n`;
+                            }
+                            const hidden = Math.max(0, section.removed.length - CHANGED_LINES_SHOWN) + Math.max(0, section.added.length - CHANGED_LINES_SHOWN);
+                            if (hidden > 0) {
+                                output += `  - ...and ${hidden} more line(s) in structuredContent\n`;
+                            }
+                        }
+                        output += '\n';
+                    }
+                }
+                
+                return structuredResponse(output, data);
+            } catch (error) {
+                return internalErrorResponse('getting content changes', error);
+            }
+        }
+    },
+    
+    // ============================================
+    // Testing Guide Tools
+    // ============================================
+    {
+        name: 'list_testing_guides',
+        description: 'List all MagentaA11y how-to-test guides (e.g., color contrast, keyboard & focus, web screen readers, forms & inputs, native apps).',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer' },
+                guides: {
+                    type: 'array',
+                    items: {
+                        ...GUIDE_SUMMARY_SCHEMA,
+                        properties: { ...GUIDE_SUMMARY_SCHEMA.properties, summary: NULLABLE_STRING },
+                    },
+                },
+            },
+            required: ['total', 'guides'],
+        },
+        handler: async () => {
+            try {
+                const guides = listTestingGuides();
+                
+                if (guides.length === 0) {
+                    return errorResponse(ERROR_CODES.NOT_FOUND, 'No testing guides found.');
+                }
+                
+                let output = `# How-to-Test Guides (${guides.length} total)\n\n`;
+                for (const guide of guides) {
+                    output += `- **${guide.label}** (\`${guide.name}\`)`;
+                    if (guide.summary) {
+                        output += `: ${guide.summary}`;
+                    }
+                    output += '\n';
+                }
+                
+                return structuredResponse(output, { total: guides.length, guides });
+            } catch (error) {
+                return internalErrorResponse('listing testing guides', error);
+            }
+        }
+    },
+    {
+        name: 'get_testing_guide',
+        description: 'Get a MagentaA11y how-to-test guide with step-by-step manual testing instructions for keyboards, screen readers, color contrast and more.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                guide: {
+                    type: 'string',
+                    description: 'Guide name (e.g., "keyboard-&-focus", "color-contrast", "web-screen-readers")',
+                },
+                ...RENDER_INPUT_PROPERTIES,
+                ...PAGINATION_INPUT_PROPERTIES,
+            },
+            required: ['guide'],
+        },
+        ...pagedOutput({
+            type: 'object',
+            properties: {
+                ...GUIDE_SUMMARY_SCHEMA.properties,
+                generalNotes: NULLABLE_STRING,
+                developerNotes: { ...NULLABLE_STRING, description: 'Full guide text (markdown)' },
+            },
+            required: GUIDE_SUMMARY_SCHEMA.required,
+        }, ['generalNotes', 'developerNotes']),
+        rendered: true,
+        handler: async (args) => {
+            try {
+                const guide = findTestingGuide(args.guide);
+                
+                if (!guide) {
+                    const guides = listTestingGuides();
+                    const message = `Testing guide "${args.guide}" not found.`;
+                    return errorResponse(
+                        ERROR_CODES.NOT_FOUND,
+                        message,
+                        { guide: args.guide, suggestions: guides.map(g => ({ name: g.name, label: g.label })) },
+                        `${message}\n\nAvailable guides:\n${guides.map(g => `- ${g.label} (\`${g.name}\`)`).join('\n')}`
+                    );
+                }
+                
+                let output = `# How to Test: ${guide.label}\n\n`;
+                output += `**Guide ID:** \`${guide.name}\`\n\n`;
+                
+                if (guide.generalNotes) {
+                    output += `## Overview\n${guide.generalNotes}\n\n`;
+                }
+                
+                if (guide.developerNotes) {
+                    output += `${guide.developerNotes}\n`;
                 }
                 
-                return textResponse(output);
+                return structuredResponse(output, {
+                    name: guide.name,
+                    label: guide.label,
+                    generalNotes: guide.generalNotes || null,
+                    developerNotes: guide.developerNotes || null
+                });
+            } catch (error) {
+                return internalErrorResponse('getting testing guide', error);
+            }
+        }
+    },
+    {
+        name: 'search_testing_guides',
+        description: 'Search the MagentaA11y how-to-test guides using keywords (e.g., "contrast ratio", "talkback", "tab order").',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'Search term or phrase (e.g., "contrast ratio", "swipe"). Words must all match; use OR for alternatives and "quotes" for exact phrases',
+                },
+                max_results: {
+                    type: 'number',
+                    description: 'Maximum number of results to return (default: 10)',
+                    default: 10,
+                    minimum: 1,
+                },
+            },
+            required: ['query'],
+        },
+        outputSchema: SEARCH_RESULTS_SCHEMA,
+        handler: async (args) => {
+            try {
+                const maxResults = args.max_results || 10;
+                const results = searchTestingGuides(args.query, maxResults);
+                
+                if (results.length === 0) {
+                    return structuredResponse(`No results found for "${args.query}" in testing guides.`, searchResults(args.query, results));
+                }
+                
+                let output = `# Testing Guide Results for "${args.query}" (${results.length} matches)\n\n`;
+                
+                for (const result of results) {
+                    output += `## ${result.label} (\`${result.name}\`)\n`;
+                    output += `**Score:** ${result.score} | **Matched in:** ${matchedFieldsText(result)}\n`;
+                    if (result.snippet) {
+                        output += `**Match:** ${result.snippet}\n`;
+                    }
+                    output += '\n';
+                }
+                
+                return structuredResponse(output, searchResults(args.query, results));
+            } catch (error) {
+                return internalErrorResponse('searching testing guides', error);
+            }
+        }
+    },
+    
+    // ============================================
+    // WCAG Tools
+    // ============================================
+    {
+        name: 'list_wcag_criteria',
+        description: 'List WCAG 2.2 success criteria (number, name, level, version) with the number of MagentaA11y components that cover each one.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                level: {
+                    type: 'string',
+                    enum: ['A', 'AA', 'AAA'],
+                    description: 'Optional conformance level filter',
+                },
+                version: {
+                    type: 'string',
+                    enum: ['2.0', '2.1', '2.2'],
+                    description: 'Optional filter by the WCAG version that introduced the criterion',
+                },
+                referenced_only: {
+                    type: 'boolean',
+                    description: 'Only list criteria covered by at least one component (default: false)',
+                    default: false,
+                },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer' },
+                criteria: {
+                    type: 'array',
+                    items: {
+                        ...WCAG_SCHEMA,
+                        properties: { ...WCAG_SCHEMA.properties, componentCount: { type: 'integer' } },
+                    },
+                },
+            },
+            required: ['total', 'criteria'],
+        },
+        handler: async (args) => {
+            try {
+                const criteria = listWcagCriteria({
+                    level: args.level,
+                    version: args.version,
+                    referencedOnly: args.referenced_only === true
+                });
+                
+                const data = {
+                    total: criteria.length,
+                    criteria: criteria.map(({ number, name, level, version, principle, url, componentCount }) => ({
+                        number,
+                        name,
+                        level,
+                        version,
+                        principle,
+                        url,
+                        componentCount
+                    }))
+                };
+                
+                if (criteria.length === 0) {
+                    return structuredResponse('No WCAG success criteria match the given filters.', data);
+                }
+                
+                // Group by principle for better display
+                const grouped = {};
+                for (const sc of criteria) {
+                    if (!grouped[sc.principle]) {
+                        grouped[sc.principle] = [];
+                    }
+                    grouped[sc.principle].push(sc);
+                }
+                
+                let output = `# WCAG 2.2 Success Criteria (${criteria.length} total)\n\n`;
+                for (const [principle, items] of Object.entries(grouped)) {
+                    output += `## ${principle}\n`;
+                    for (const sc of items) {
+                        output += `- **${sc.number} ${sc.name}** (Level ${sc.level}, WCAG ${sc.version}): ${sc.componentCount} components\n`;
+                    }
+                    output += '\n';
+                }
+                
+                return structuredResponse(output, data);
+            } catch (error) {
+                return internalErrorResponse('listing WCAG criteria', error);
+            }
+        }
+    },
+    {
+        name: 'get_components_for_wcag',
+        description: 'Find which web and native components cover a WCAG success criterion (e.g., "2.4.7" or "Focus Visible").',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                criterion: {
+                    type: 'string',
+                    description: 'Success criterion number or name (e.g., "2.4.7", "Focus Visible")',
+                },
+                platform: {
+                    type: 'string',
+                    enum: ['web', 'native'],
+                    description: 'Optional platform filter (web or native)',
+                },
+            },
+            required: ['criterion'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                criterion: WCAG_SCHEMA,
+                platform: { ...NULLABLE_STRING, description: 'Platform filter, if any' },
+                components: {
+                    type: 'array',
+                    items: {
+                        ...COMPONENT_SUMMARY_SCHEMA,
+                        properties: {
+                            platform: STRING,
+                            ...COMPONENT_SUMMARY_SCHEMA.properties,
+                            fields: STRING_ARRAY,
+                            inferred: { type: 'boolean' },
+                        },
+                    },
+                },
+            },
+            required: ['criterion', 'components'],
+        },
+        handler: async (args) => {
+            try {
+                const result = getComponentsForWcag(args.criterion, args.platform);
+                
+                if (!result) {
+                    return errorResponse(
+                        ERROR_CODES.NOT_FOUND,
+                        `WCAG success criterion "${args.criterion}" not found. Use list_wcag_criteria to see all criteria.`,
+                        { criterion: args.criterion }
+                    );
+                }
+                
+                const { criterion, components } = result;
+                const data = { criterion, platform: args.platform ?? null, components };
+                let output = `# WCAG ${criterion.number} ${criterion.name}\n\n`;
+                output += `**Level:** ${criterion.level}\n`;
+                output += `**Introduced in:** WCAG ${criterion.version}\n`;
+                output += `**Understanding:** ${criterion.url}\n\n`;
+                
+                if (components.length === 0) {
+                    output += 'No components reference this criterion.\n';
+                    return structuredResponse(output, data);
+                }
+                
+                output += `## Components (${components.length})\n`;
+                for (const comp of components) {
+                    output += `- **${comp.label}** (\`${comp.name}\`, ${comp.platform})`;
+                    if (comp.inferred) {
+                        output += ' *(inferred)*';
+                    }
+                    output += '\n';
+                }
+                
+                return structuredResponse(output, data);
+            } catch (error) {
+                return internalErrorResponse('finding components for WCAG criterion', error);
+            }
+        }
+    },
+    
+    // ============================================
+    // Export Tools
+    // ============================================
+    {
+        name: 'export_gherkin_feature',
+        description: 'Export Gherkin acceptance criteria as runnable Cucumber .feature files (Feature/Scenario/Given/When/Then with tags like @a11y @web @button @screenreader). Accepts one component, a list of components, or a whole category.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                platform: {
+                    type: 'string',
+                    enum: ['web', 'native'],
+                    description: 'Platform (web or native)',
+                },
+                component: {
+                    type: 'string',
+                    description: 'Component name (e.g., "button")',
+                },
+                components: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'List of component names (e.g., ["text-input", "checkbox", "button"])',
+                },
+                category: {
+                    type: 'string',
+                    description: 'Export every component in a category (e.g., "component", "page-level", "controls")',
+                },
+            },
+            required: ['platform'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                platform: STRING,
+                files: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            path: { ...STRING, description: 'Suggested file path (e.g., "features/web/button.feature")' },
+                            component: STRING,
+                            content: STRING,
+                        },
+                        required: ['path', 'component', 'content'],
+                    },
+                },
+                notFound: { ...STRING_ARRAY, description: 'Requested names that matched no component' },
+                noGherkin: { ...STRING_ARRAY, description: 'Components without Gherkin criteria' },
+            },
+            required: ['platform', 'files', 'notFound', 'noGherkin'],
+        },
+        handler: async (args) => {
+            try {
+                const names = [
+                    ...(args.component ? [args.component] : []),
+                    ...(args.components || []),
+                    ...(args.category ? listComponents(args.platform, args.category).map(c => c.name) : [])
+                ];
+                
+                if (names.length === 0) {
+                    if (args.category) {
+                        return categoryNotFoundResponse(args.platform, args.category);
+                    }
+                    return errorResponse(ERROR_CODES.INVALID_ARGUMENTS, 'Provide a component, a list of components, or a category to export.');
+                }
+                
+                const files = [];
+                const notFound = [];
+                const noGherkin = [];
+                const seen = new Set();
+                
+                for (const name of names) {
+                    const component = findComponent(args.platform, name);
+                    if (!component) {
+                        notFound.push(name);
+                        continue;
+                    }
+                    if (seen.has(component.name)) continue;
+                    seen.add(component.name);
+                    
+                    const criteria = getStructuredCriteria(args.platform, component.name, 'gherkin');
+                    if (!criteria) {
+                        noGherkin.push(component.label);
+                        continue;
+                    }
+                    files.push({ path: featureFilePath(criteria), component: component.name, content: toFeatureFile(criteria) });
+                }
+                
+                if (files.length === 0) {
+                    const reasons = [
+                        notFound.length > 0 && `not found: ${notFound.join(', ')}`,
+                        noGherkin.length > 0 && `no Gherkin criteria: ${noGherkin.join(', ')}`
+                    ].filter(Boolean);
+                    const message = `No feature files exported (${reasons.join('; ')}).`;
+                    return errorResponse(notFound.length > 0 ? ERROR_CODES.NOT_FOUND : ERROR_CODES.NO_FORMAT, message, {
+                        platform: args.platform,
+                        notFound,
+                        noGherkin
+                    });
+                }
+                
+                let output = `# Cucumber Feature Files (${files.length})\n\n`;
+                
+                for (const file of files) {
+                    output += `## ${file.path}\n\n\`\`\`gherkin\n${file.content}\`\`\`\n\n`;
+                }
+                
+                if (notFound.length > 0) {
+                    output += `**Not found:** ${notFound.join(', ')}\n`;
+                }
+                if (noGherkin.length > 0) {
+                    output += `**No Gherkin criteria:** ${noGherkin.join(', ')}\n`;
+                }
+                
+                return structuredResponse(output, { platform: args.platform, files, notFound, noGherkin });
+            } catch (error) {
+                return internalErrorResponse('exporting feature files', error);
+            }
+        }
+    },
+    {
+        name: 'build_story_criteria',
+        description: 'Build one ticket-ready acceptance criteria checklist for a story that uses several components (e.g., a signup form: text-input, password-input, checkbox, button). Shared headers and "Full information" links are deduplicated. Outputs GitHub markdown task lists, Jira wiki markup or plain text.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                components: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    minItems: 1,
+                    description: 'Component names (e.g., ["text-input", "password-input", "checkbox", "button", "help-hint-error", "form"])',
+                },
+                platforms: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['web', 'native'] },
+                    description: 'Platforms to include (default: ["web"])',
+                    default: ['web'],
+                },
+                source: {
+                    type: 'string',
+                    enum: ['condensed', 'gherkin'],
+                    description: 'Which criteria to use (default: condensed)',
+                    default: 'condensed',
+                },
+                format: {
+                    type: 'string',
+                    enum: ['markdown', 'jira', 'text'],
+                    description: 'Output format: GitHub markdown task list, Jira wiki markup, or plain text (default: markdown)',
+                    default: 'markdown',
+                },
+                title: {
+                    type: 'string',
+                    description: 'Optional story title for the checklist heading',
+                },
+            },
+            required: ['components'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                format: { type: 'string', enum: ['markdown', 'jira', 'text'] },
+                source: { type: 'string', enum: ['condensed', 'gherkin'] },
+                checklist: { ...STRING, description: 'The checklist in the requested format' },
+                components: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { platform: STRING, name: STRING, label: STRING },
+                        required: ['platform', 'name', 'label'],
+                    },
+                },
+                missing: { ...STRING_ARRAY, description: 'Components left out, with the reason' },
+            },
+            required: ['format', 'source', 'checklist', 'components', 'missing'],
+        },
+        handler: async (args) => {
+            try {
+                const platforms = args.platforms && args.platforms.length > 0 ? args.platforms : ['web'];
+                const source = args.source || 'condensed';
+                
+                const criteriaList = [];
+                const missing = [];
+                
+                for (const platform of platforms) {
+                    const seen = new Set();
+                    for (const name of args.components || []) {
+                        const component = findComponent(platform, name);
+                        if (!component) {
+                            missing.push(`${name} (${platform})`);
+                            continue;
+                        }
+                        if (seen.has(component.name)) continue;
+                        seen.add(component.name);
+                        
+                        const criteria = getStructuredCriteria(platform, component.name, source);
+                        if (!criteria) {
+                            missing.push(`${component.label} (${platform}, no ${source} criteria)`);
+                            continue;
+                        }
+                        criteriaList.push(criteria);
+                    }
+                }
+                
+                if (criteriaList.length === 0) {
+                    return errorResponse(ERROR_CODES.NOT_FOUND, `No acceptance criteria found for: ${missing.join(', ')}`, { missing });
+                }
+                
+                const format = args.format || 'markdown';
+                const checklist = toStoryChecklist(criteriaList, { format, title: args.title });
+                
+                let output = checklist;
+                if (missing.length > 0) {
+                    output += `\nNot included: ${missing.join(', ')}\n`;
+                }
+                
+                return structuredResponse(output, {
+                    format,
+                    source,
+                    checklist,
+                    components: criteriaList.map(c => ({ platform: c.platform, name: c.component, label: c.label })),
+                    missing
+                });
+            } catch (error) {
+                return internalErrorResponse('building story criteria', error);
+            }
+        }
+    },
+    
+    // ============================================
+    // Test Session Tools
+    // ============================================
+    {
+        name: 'start_test_session',
+        description: 'Start a manual accessibility test session: turns the gherkin (or condensed) criteria of one or more components into a checklist of steps, each with an id for record_result. Sessions are saved locally, so a tester or agent can resume one later with get_session_summary.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                components: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    minItems: 1,
+                    description: 'Component names to test (e.g., ["text-input", "checkbox", "button"])',
+                },
+                platform: {
+                    type: 'string',
+                    enum: ['web', 'native'],
+                    description: 'Platform (web or native)',
+                },
+                assistive_tech: {
+                    type: 'string',
+                    enum: ASSISTIVE_TECH_NAMES,
+                    description: 'Assistive tech for this pass. Sections for other screen readers are left out; keyboard and device settings sections stay',
+                },
+                format: {
+                    type: 'string',
+                    enum: SESSION_FORMATS,
+                    description: 'Criteria to build the steps from (default: gherkin)',
+                    default: 'gherkin',
+                },
+                name: {
+                    type: 'string',
+                    description: 'Optional label for the session (e.g., "Checkout daily pass")',
+                },
+                ...PAGINATION_INPUT_PROPERTIES,
+            },
+            required: ['components', 'platform'],
+        },
+        ...pagedOutput({
+            type: 'object',
+            properties: {
+                ...SESSION_INFO_PROPERTIES,
+                components: { type: 'array', items: COMPONENT_SUMMARY_SCHEMA },
+                steps: { type: 'array', items: SESSION_STEP_SCHEMA },
+                missing: { ...STRING_ARRAY, description: 'Components left out, with the reason' },
+            },
+            required: [...Object.keys(SESSION_INFO_PROPERTIES), 'components', 'steps', 'missing'],
+        }, ['steps']),
+        handler: async (args) => {
+            try {
+                const format = args.format || 'gherkin';
+                const components = [];
+                const missing = [];
+                
+                for (const name of args.components || []) {
+                    const component = findComponent(args.platform, name);
+                    if (!component) {
+                        missing.push(`${name} (not found)`);
+                    } else if (!components.some(c => c.name === component.name)) {
+                        components.push(component);
+                    }
+                }
+                
+                const { session, skipped } = createTestSession(args.platform, components, {
+                    format,
+                    assistiveTech: args.assistive_tech ?? null,
+                    name: args.name ?? null
+                });
+                missing.push(...skipped.map(name => `${name} (no ${format} steps${args.assistive_tech ? ` for ${args.assistive_tech}` : ''})`));
+                
+                if (session.steps.length === 0) {
+                    return errorResponse(ERROR_CODES.NOT_FOUND, `No ${format} steps found for: ${missing.join(', ')}`, { missing });
+                }
+                
+                let output = `# Test Session: ${session.name || session.id}\n\n`;
+                output += `**Session ID:** \`${session.id}\`\n`;
+                output += sessionSetup(session);
+                output += `**Steps:** ${session.steps.length} across ${session.components.length} component(s)\n`;
+                if (missing.length > 0) {
+                    output += `**Not included:** ${missing.join(', ')}\n`;
+                }
+                output += `\nRecord each step with \`record_result\` (session_id, step_id, status pass/fail/na, notes).\n`;
+                output += sessionStepsText(session, session.steps);
+                
+                const { totals, failures, pending, ...info } = summarizeTestSession(session);
+                return structuredResponse(output, {
+                    ...info,
+                    components: session.components,
+                    steps: session.steps,
+                    missing
+                });
+            } catch (error) {
+                return internalErrorResponse('starting test session', error);
+            }
+        }
+    },
+    {
+        name: 'record_result',
+        description: 'Record the result of one step in a test session: pass, fail or na (not applicable), with optional notes on what was observed. Recording a step again replaces its result. Returns the session progress and the next pending steps.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                session_id: {
+                    type: 'string',
+                    description: 'Session id from start_test_session',
+                },
+                step_id: {
+                    type: 'string',
+                    description: 'Step id from the session checklist (e.g., "button/2.3")',
+                },
+                status: {
+                    type: 'string',
+                    enum: RESULT_STATUSES,
+                    description: 'Result of the step',
+                },
+                notes: {
+                    type: 'string',
+                    description: 'What the tester observed (e.g., "VoiceOver reads \'button\' without a name")',
+                },
+            },
+            required: ['session_id', 'step_id', 'status'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                sessionId: STRING,
+                step: SESSION_STEP_SCHEMA,
+                result: SESSION_RESULT_SCHEMA,
+                totals: SESSION_TOTALS_SCHEMA,
+                next: { type: 'array', items: SESSION_STEP_SCHEMA, description: `Up to ${NEXT_STEPS_SHOWN} pending steps, in checklist order` },
+            },
+            required: ['sessionId', 'step', 'result', 'totals', 'next'],
+        },
+        handler: async (args) => {
+            try {
+                const recorded = recordTestResult(args.session_id, args.step_id, args.status, args.notes ?? null);
+                
+                if (!recorded) {
+                    return sessionNotFoundResponse(args.session_id);
+                }
+                if (!recorded.step) {
+                    return errorResponse(
+                        ERROR_CODES.NOT_FOUND,
+                        `Step "${args.step_id}" is not in session "${args.session_id}". Step ids look like "button/2.3"; get_session_summary lists the remaining ones.`,
+                        { argument: 'step_id' }
+                    );
+                }
+                
+                const { session, step, result } = recorded;
+                const summary = summarizeTestSession(session);
+                const next = summary.pending.slice(0, NEXT_STEPS_SHOWN);
+                
+                let output = `Recorded **${result.status}** for ${sessionStepLine(step)}\n`;
+                if (result.notes) {
+                    output += `**Notes:** ${result.notes}\n`;
+                }
+                output += `\n**Progress:** ${sessionProgress(summary.totals)}\n`;
+                if (next.length > 0) {
+                    output += `\n**Next:**\n${next.map(s => `- ${sessionStepLine(s)}`).join('\n')}\n`;
+                } else {
+                    output += `\nAll steps recorded. Use \`get_session_summary\` for the results.\n`;
+                }
+                
+                return structuredResponse(output, { sessionId: session.id, step, result, totals: summary.totals, next });
+            } catch (error) {
+                return internalErrorResponse('recording result', error);
+            }
+        }
+    },
+    {
+        name: 'get_session_summary',
+        description: 'Summarize a test session: pass/fail/na counts overall and per component, failed steps with their notes, and the steps still to test, so a tester or agent can pick up where the session left off.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                session_id: {
+                    type: 'string',
+                    description: 'Session id from start_test_session or list_test_sessions',
+                },
+                ...PAGINATION_INPUT_PROPERTIES,
+            },
+            required: ['session_id'],
+        },
+        ...pagedOutput({
+            type: 'object',
+            properties: {
+                ...SESSION_INFO_PROPERTIES,
+                totals: SESSION_TOTALS_SCHEMA,
+                components: {
+                    type: 'array',
+                    items: {
+                        ...COMPONENT_SUMMARY_SCHEMA,
+                        properties: { ...COMPONENT_SUMMARY_SCHEMA.properties, totals: SESSION_TOTALS_SCHEMA }
+                    },
+                },
+                failures: {
+                    type: 'array',
+                    items: {
+                        ...SESSION_STEP_SCHEMA,
+                        properties: { ...SESSION_STEP_SCHEMA.properties, ...SESSION_RESULT_SCHEMA.properties }
+                    },
+                },
+                pending: { type: 'array', items: SESSION_STEP_SCHEMA },
+            },
+            required: [...Object.keys(SESSION_INFO_PROPERTIES), 'totals', 'components', 'failures', 'pending'],
+        }, ['failures', 'pending']),
+        handler: async (args) => {
+            try {
+                const session = getTestSession(args.session_id);
+                
+                if (!session) {
+                    return sessionNotFoundResponse(args.session_id);
+                }
+                
+                const summary = summarizeTestSession(session);
+                
+                let output = `# Test Session Summary: ${session.name || session.id}\n\n`;
+                output += `**Session ID:** \`${session.id}\`\n`;
+                output += sessionSetup(session);
+                output += `**Started:** ${session.createdAt} | **Last updated:** ${session.updatedAt}\n`;
+                output += `**Progress:** ${sessionProgress(summary.totals)}\n\n`;
+                
+                output += `## Components\n\n| Component | Pass | Fail | N/A | Pending |\n|---|---|---|---|---|\n`;
+                for (const c of summary.components) {
+                    output += `| ${tableCell(c.label)} (\`${c.name}\`) | ${c.totals.pass} | ${c.totals.fail} | ${c.totals.na} | ${c.totals.pending} |\n`;
+                }
+                
+                if (summary.failures.length > 0) {
+                    output += `\n## Failures\n\n`;
+                    for (const failure of summary.failures) {
+                        output += `- ${sessionStepLine(failure)}\n`;
+                        if (failure.notes) {
+                            output += `  - **Notes:** ${failure.notes}\n`;
+                        }
+                    }
+                }
+                
+                if (summary.pending.length > 0) {
+                    output += `\n# Remaining Steps\n`;
+                    output += sessionStepsText(session, summary.pending);
+                } else {
+                    output += `\nAll steps recorded.\n`;
+                }
+                
+                return structuredResponse(output, summary);
+            } catch (error) {
+                return internalErrorResponse('summarizing test session', error);
+            }
+        }
+    },
+    {
+        name: 'list_test_sessions',
+        description: 'List saved test sessions, most recently updated first, with their components and progress. Use to find a session to resume.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer' },
+                sessions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            ...SESSION_INFO_PROPERTIES,
+                            components: STRING_ARRAY,
+                            totals: SESSION_TOTALS_SCHEMA,
+                        },
+                        required: [...Object.keys(SESSION_INFO_PROPERTIES), 'components', 'totals'],
+                    },
+                },
+            },
+            required: ['total', 'sessions'],
+        },
+        handler: async () => {
+            try {
+                const sessions = listTestSessions();
+                
+                if (sessions.length === 0) {
+                    return structuredResponse('No saved test sessions. Start one with `start_test_session`.', { total: 0, sessions });
+                }
+                
+                let output = `# Test Sessions (${sessions.length})\n\n`;
+                output += `| Session | Name | Platform | Components | Progress | Last updated |\n|---|---|---|---|---|---|\n`;
+                for (const session of sessions) {
+                    const { steps, pending } = session.totals;
+                    output += `| \`${session.id}\` | ${tableCell(session.name)} | ${session.platform} | ${session.components.join(', ')} | ${steps - pending}/${steps} (${session.totals.fail} fail) | ${session.updatedAt} |\n`;
+                }
+                
+                return structuredResponse(output, { total: sessions.length, sessions });
+            } catch (error) {
+                return internalErrorResponse('listing test sessions', error);
+            }
+        }
+    },
+    
+    // ============================================
+    // Audit Tools
+    // ============================================
+    {
+        name: 'audit_html',
+        description: 'Audit an HTML snippet against MagentaA11y web criteria. Detects which catalog components are present and reports issues such as click handlers on non-interactive elements, disabled buttons, images missing alt and inputs missing labels. Each finding links to the component criteria and WCAG success criteria. Runs offline; scripts are not executed.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                html: {
+                    type: 'string',
+                    description: 'HTML markup to audit (a snippet or a full page)',
+                },
+                format: {
+                    type: 'string',
+                    enum: ['markdown', 'json'],
+                    description: 'Output format (default: markdown)',
+                    default: 'markdown',
+                },
+            },
+            required: ['html'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                components: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { name: STRING, label: STRING, url: STRING, count: { type: 'integer' } },
+                        required: ['name', 'label', 'count'],
+                    },
+                },
+                findings: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            rule: STRING,
+                            severity: { type: 'string', enum: ['error', 'warning', 'notice'] },
+                            message: STRING,
+                            line: { type: 'integer' },
+                            element: STRING,
+                            component: {
+                                type: ['object', 'null'],
+                                properties: { name: STRING, label: STRING, url: STRING },
+                            },
+                            wcag: { type: 'array', items: WCAG_SCHEMA },
+                        },
+                        required: ['rule', 'severity', 'message', 'wcag'],
+                    },
+                },
+                summary: {
+                    type: 'object',
+                    properties: {
+                        errors: { type: 'integer' },
+                        warnings: { type: 'integer' },
+                        notices: { type: 'integer' },
+                    },
+                    required: ['errors', 'warnings', 'notices'],
+                },
+            },
+            required: ['components', 'findings', 'summary'],
+        },
+        handler: async (args) => {
+            try {
+                const result = auditHtml(args.html || '');
+                
+                if (args.format === 'json') {
+                    return jsonResponse(result);
+                }
+                
+                let output = `# HTML Accessibility Audit\n\n`;
+                
+                if (result.components.length > 0) {
+                    const detected = result.components.map(c => `${c.label} (${c.count})`).join(', ');
+                    output += `**Components detected:** ${detected}\n`;
+                } else {
+                    output += `**Components detected:** none\n`;
+                }
+                output += `**Findings:** ${result.summary.errors} error(s), ${result.summary.warnings} warning(s), ${result.summary.notices} notice(s)\n\n`;
+                
+                if (result.findings.length === 0) {
+                    output += 'No issues found by the automated checks. Manual testing with a keyboard and screen reader is still required.\n';
+                    return structuredResponse(output, result);
+                }
+                
+                result.findings.forEach((finding, index) => {
+                    output += `## ${index + 1}. ${finding.rule} (${finding.severity}, line ${finding.line})\n`;
+                    output += `\`${finding.element}\`\n\n`;
+                    output += `${finding.message}\n\n`;
+                    if (finding.component) {
+                        output += `- **Component:** [${finding.component.label}](${finding.component.url}) (\`${finding.component.name}\`)\n`;
+                    }
+                    if (finding.wcag.length > 0) {
+                        const wcag = finding.wcag.map(sc => `[${sc.number} ${sc.name} (${sc.level})](${sc.url})`).join(', ');
+                        output += `- **WCAG:** ${wcag}\n`;
+                    }
+                    output += '\n';
+                });
+                
+                output += `---\nUse \`get_component_condensed\` or \`get_component_developer_notes\` with a component name above for the full criteria.\n`;
+                
+                return structuredResponse(output, result);
             } catch (error) {
-                return textResponse(`Error listing formats: ${error.message}`);
+                return internalErrorResponse('auditing HTML', error);
             }
         }
     }
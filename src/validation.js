@@ -0,0 +1,149 @@
+/**
+ * Tool Argument Validation
+ * Checks tool arguments against the JSON Schema subset used by the inputSchema
+ * definitions in tools.js (type, enum, required, items, minItems, default, minimum, maximum),
+ * and content.json against the nested schema in importer.js (properties, minLength)
+ */
+
+/**
+ * JSON Schema type of a value
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Whether a value matches a JSON Schema type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return typeOf(value) === 'object';
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+/**
+ * Describe a value for an error message
+ */
+function describe(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Validate one value against a property schema, collecting errors
+ * @param {*} value - Value to check
+ * @param {Object} schema - Property schema
+ * @param {string} path - Argument path for error messages (e.g., "platforms[1]")
+ * @param {Object[]} errors - Collected errors ({ path, message })
+ */
+function validateValue(value, schema, path, errors) {
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => `"${v}"`).join(', ')} (got ${describe(value)})` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum} (got ${value})` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be at most ${schema.maximum} (got ${value})` });
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+
+    if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (typeOf(value) === 'object' && schema.properties) {
+        const childPath = name => (path ? `${path}.${name}` : name);
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push({ path: childPath(name), message: 'required' });
+            }
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties)) {
+            if (value[name] !== undefined) {
+                validateValue(value[name], propertySchema, childPath(name), errors);
+            }
+        }
+    }
+}
+
+/**
+ * Validate a value against a schema, including nested objects and arrays
+ * Unlike validateArguments, null is an ordinary value (allowed only by a 'null' type)
+ * and no defaults are applied.
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @returns {Object[]} Errors as { path, message }, with paths like "web[0].children[3].gherkin"
+ */
+export function validateSchema(value, schema) {
+    const errors = [];
+    validateValue(value, schema, '', errors);
+    return errors.map(error => ({ ...error, path: error.path || '(root)' }));
+}
+
+/**
+ * Validate tool arguments against a tool's inputSchema and apply defaults
+ * Missing arguments (undefined or null) are treated as an empty object. Properties not
+ * in the schema are passed through unchanged.
+ * @param {Object} schema - Tool inputSchema (type: 'object')
+ * @param {*} args - Arguments from the tools/call request
+ * @returns {Object} { args, errors } - Arguments with defaults applied, and errors as { path, message }
+ */
+export function validateArguments(schema, args) {
+    if (args === undefined || args === null) {
+        args = {};
+    }
+    if (typeOf(args) !== 'object') {
+        return { args, errors: [{ path: 'arguments', message: `expected object, got ${typeOf(args)}` }] };
+    }
+
+    const errors = [];
+    const properties = schema?.properties || {};
+    const result = { ...args };
+
+    for (const name of schema?.required || []) {
+        if (result[name] === undefined || result[name] === null) {
+            errors.push({ path: name, message: 'required' });
+        }
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+        const value = result[name];
+        if (value === undefined || value === null) {
+            if (propertySchema.default !== undefined) {
+                result[name] = structuredClone(propertySchema.default);
+            } else {
+                delete result[name];
+            }
+            continue;
+        }
+        validateValue(value, propertySchema, name, errors);
+    }
+
+    return { args: result, errors };
+}